@@ -0,0 +1,186 @@
+"""API keys, per-key rate limits and the request audit log.
+
+Keys live in a JSON file (API_KEYS_FILE, default api_keys.json) that stores only a SHA-256 of each key:
+
+    python api_auth.py add alice --rate-limit 120/minute
+    python api_auth.py list
+    python api_auth.py remove alice
+"""
+import argparse
+import hashlib
+import hmac
+import json
+import math
+import os
+import secrets
+import threading
+import time
+from collections import deque
+from datetime import datetime, timezone
+
+RATE_LIMIT_PERIODS = {'second': 1, 'minute': 60, 'hour': 3600, 'day': 86400}
+
+def parse_rate_limit(text):
+    """'60/minute' -> (60, 60) as (requests, seconds); None or '' means no limit."""
+    if not text:
+        return None
+    count, _, period = str(text).partition('/')
+    if not count.strip().isdigit() or int(count) < 1 or period.strip() not in RATE_LIMIT_PERIODS:
+        raise ValueError(f"Invalid rate limit '{text}': expected e.g. '60/minute' (per second, minute, hour or day)")
+    return int(count), RATE_LIMIT_PERIODS[period.strip()]
+
+def describe_rate_limit(limit):
+    count, seconds = limit
+    period = next(name for name, length in RATE_LIMIT_PERIODS.items() if length == seconds)
+    return f"{count} requests per {period}"
+
+def hash_key(key):
+    return hashlib.sha256(key.encode('utf-8')).hexdigest()
+
+class ApiKeyStore:
+    """The configured keys; with none configured the API stays open."""
+
+    def __init__(self, keys, path=None):
+        self.keys = keys
+        self.path = path
+
+    @classmethod
+    def load(cls, path, default_rate_limit=None):
+        """Read the key file; a missing file means no keys. Bad entries raise ValueError rather than open the API."""
+        if not os.path.exists(path):
+            return cls([], path)
+
+        with open(path) as f:
+            config = json.load(f)
+
+        keys = []
+        for entry in config.get('keys', []):
+            if entry.get('disabled'):
+                continue
+            # A plain 'key' is accepted for quick setups, but only its hash is kept in memory
+            digest = entry.get('key_sha256') or (hash_key(entry['key']) if entry.get('key') else None)
+            if not entry.get('name') or not digest:
+                raise ValueError(f"{path}: every key needs a 'name' and a 'key_sha256' (or 'key')")
+            keys.append({
+                'name': entry['name'],
+                'key_sha256': digest.lower(),
+                # An explicit null turns the limit off for that key
+                'rate_limit': parse_rate_limit(entry.get('rate_limit', default_rate_limit))
+            })
+        return cls(keys, path)
+
+    @property
+    def enabled(self):
+        return len(self.keys) > 0
+
+    def authenticate(self, key):
+        """The entry for a presented key, or None; every entry is compared so timing doesn't leak which matched."""
+        if not key:
+            return None
+        digest = hash_key(key)
+        match = None
+        for entry in self.keys:
+            if hmac.compare_digest(entry['key_sha256'], digest):
+                match = entry
+        return match
+
+class RateLimiter:
+    """Sliding-window request counts per key.
+
+    Counts live in this process's memory, like the job queue, so run a single server process.
+    """
+
+    def __init__(self):
+        self.hits = {}
+        self.lock = threading.Lock()
+
+    def check(self, name, limit):
+        """Count one request; returns (allowed, remaining, retry_after_seconds)."""
+        if limit is None:
+            return True, None, 0
+
+        count, period = limit
+        now = time.monotonic()
+        with self.lock:
+            hits = self.hits.setdefault(name, deque())
+            while hits and hits[0] <= now - period:
+                hits.popleft()
+            if len(hits) >= count:
+                return False, 0, max(1, math.ceil(hits[0] + period - now))
+            hits.append(now)
+            return True, count - len(hits), 0
+
+class AuditLog:
+    """One JSON line per API request: which key, what it ran, how many rows and how long it took."""
+
+    def __init__(self, path):
+        self.path = path
+        self.lock = threading.Lock()
+
+    def write(self, **entry):
+        if not self.path:
+            return
+        line = json.dumps({'time': datetime.now(timezone.utc).isoformat(timespec='milliseconds'), **entry})
+        try:
+            with self.lock:
+                directory = os.path.dirname(self.path)
+                if directory:
+                    os.makedirs(directory, exist_ok=True)
+                with open(self.path, 'a') as f:
+                    f.write(line + '\n')
+        except OSError as e:
+            # A full disk must not take the API down with it
+            print(f"⚠️ Could not write audit log: {e}")
+
+def read_key_file(path):
+    if not os.path.exists(path):
+        return {'keys': []}
+    with open(path) as f:
+        return json.load(f)
+
+def write_key_file(path, config):
+    with open(path, 'w') as f:
+        json.dump(config, f, indent=2)
+        f.write('\n')
+    # The hashes aren't secret keys, but there is no reason for others to read them
+    os.chmod(path, 0o600)
+
+if __name__ == '__main__':
+    parser = argparse.ArgumentParser(description='Manage API keys for the exoplanet prediction server')
+    parser.add_argument('--file', default=os.environ.get('API_KEYS_FILE', 'api_keys.json'), help='key file (default: api_keys.json)')
+    commands = parser.add_subparsers(dest='command', required=True)
+    add = commands.add_parser('add', help='create a key and print it once')
+    add.add_argument('name', help='who or what the key is for; shown in the audit log')
+    add.add_argument('--rate-limit', help="e.g. 120/minute (default: API_RATE_LIMIT on the server); 'none' for no limit")
+    commands.add_parser('list', help='list key names and limits')
+    remove = commands.add_parser('remove', help='delete a key')
+    remove.add_argument('name')
+    args = parser.parse_args()
+
+    config = read_key_file(args.file)
+    if args.command == 'add':
+        if any(entry.get('name') == args.name for entry in config['keys']):
+            parser.error(f"A key named '{args.name}' already exists; remove it first to replace it")
+        key = secrets.token_urlsafe(32)
+        entry = {'name': args.name, 'key_sha256': hash_key(key), 'created_at': datetime.now(timezone.utc).date().isoformat()}
+        if args.rate_limit:
+            entry['rate_limit'] = None if args.rate_limit.lower() == 'none' else args.rate_limit
+            try:
+                parse_rate_limit(entry['rate_limit'])
+            except ValueError as e:
+                parser.error(str(e))
+        config['keys'].append(entry)
+        write_key_file(args.file, config)
+        print(f"✅ Key for '{args.name}' added to {args.file}. It is shown only this once:\n\n    {key}\n")
+        print("Restart the server to pick it up.")
+    elif args.command == 'list':
+        for entry in config['keys']:
+            limit = entry.get('rate_limit', 'server default')
+            print(f"{entry.get('name')}: rate limit {limit or 'none'}{' (disabled)' if entry.get('disabled') else ''}")
+    elif args.command == 'remove':
+        remaining = [entry for entry in config['keys'] if entry.get('name') != args.name]
+        if len(remaining) == len(config['keys']):
+            parser.error(f"No key named '{args.name}' in {args.file}")
+        config['keys'] = remaining
+        write_key_file(args.file, config)
+        print(f"🗑️ Key '{args.name}' removed from {args.file}. Restart the server to apply.")
@@ -1,86 +1,605 @@
-from flask import Flask, request, jsonify, render_template, send_from_directory
+from flask import Flask, request, jsonify, render_template, send_from_directory, Response, g, make_response
+import functools
+import time
 import pandas as pd
 import joblib
 import numpy as np
 import os
+import io
+import json
+from datetime import datetime
+from scipy import sparse
+from werkzeug.utils import secure_filename
+from feature_schema import build_schema, LABEL_SCHEMA, IDENTIFIER_COLUMNS
+from job_queue import JobQueue
+from model_export import export_pipeline
+from request_validation import ValidationError, validation_error, validate_rows, check_finite
+from reference_catalog import ReferenceCatalog
+from fetch_reference_catalog import DEFAULT_PATH as DEFAULT_REFERENCE_CATALOG
+from api_auth import ApiKeyStore, RateLimiter, AuditLog, describe_rate_limit
 
 app = Flask(__name__, static_folder='static', template_folder='templates')
+app.config['MAX_CONTENT_LENGTH'] = int(os.environ.get('MAX_UPLOAD_MB', 100)) * 1024 * 1024
+
+# Comma-separated origins allowed to call the API from other sites ('*' for any); the bundled UI needs none
+CORS_ORIGINS = [origin.strip() for origin in os.environ.get('CORS_ORIGINS', '').split(',') if origin.strip()]
 
 # Add CORS headers manually
 @app.after_request
 def after_request(response):
-    response.headers.add('Access-Control-Allow-Origin', '*')
-    response.headers.add('Access-Control-Allow-Headers', 'Content-Type,Authorization')
-    response.headers.add('Access-Control-Allow-Methods', 'GET,PUT,POST,DELETE,OPTIONS')
+    origin = request.headers.get('Origin')
+    if origin and ('*' in CORS_ORIGINS or origin in CORS_ORIGINS):
+        response.headers['Access-Control-Allow-Origin'] = '*' if '*' in CORS_ORIGINS else origin
+        response.headers['Access-Control-Allow-Headers'] = 'Content-Type,Authorization,X-API-Key'
+        response.headers['Access-Control-Allow-Methods'] = 'GET,POST,DELETE,OPTIONS'
+        response.headers['Access-Control-Expose-Headers'] = 'Retry-After,X-RateLimit-Limit,X-RateLimit-Remaining'
+    if '*' not in CORS_ORIGINS:
+        response.headers.add('Vary', 'Origin')
     return response
 
-# Load the model when the server starts
-model_path = "rf_pipeline.pkl"
-if os.path.exists(model_path):
-    pipeline = joblib.load(model_path)
-    print("✅ Model loaded successfully!")
-else:
-    print("❌ Model file not found!")
-    pipeline = None
+# Optional API keys; without a key file every endpoint stays open, as on a single-user laptop
+api_keys = ApiKeyStore.load(
+    os.environ.get('API_KEYS_FILE', 'api_keys.json'),
+    os.environ.get('API_RATE_LIMIT', '60/minute')
+)
+rate_limiter = RateLimiter()
+audit_log = AuditLog(os.environ.get('AUDIT_LOG', os.path.join('logs', 'audit.jsonl')))
+
+def api_key_from_request():
+    header = request.headers.get('Authorization', '')
+    if header[:7].lower() == 'bearer ':
+        return header[7:].strip()
+    return request.headers.get('X-API-Key', '').strip()
+
+def audit(**fields):
+    """Add details (rows, model) to the audit record of the current request."""
+    g.setdefault('audit', {}).update(fields)
+
+def require_api_key(rate_limited=True, audited=True):
+    """Check the caller's key (when keys are configured), apply its rate limit and log the request.
+
+    Job polling is exempt from the rate limit and the log, since the UI polls once a second.
+    """
+    def decorator(view):
+        @functools.wraps(view)
+        def wrapper(*args, **kwargs):
+            # CORS preflights never carry credentials
+            if request.method == 'OPTIONS':
+                return view(*args, **kwargs)
+
+            started = time.perf_counter()
+            g.audit = {'rows': None, 'model': None}
+            g.api_key = None
+            presented = api_key_from_request()
+            if api_keys.enabled:
+                g.api_key = api_keys.authenticate(presented)
+
+            if api_keys.enabled and g.api_key is None:
+                message = 'Invalid API key' if presented else "API key required: send it as 'Authorization: Bearer <key>'"
+                response = make_response(jsonify({'success': False, 'error': message}), 401)
+                response.headers['WWW-Authenticate'] = 'Bearer'
+            else:
+                limit = g.api_key['rate_limit'] if g.api_key and rate_limited else None
+                allowed, remaining, retry_after = rate_limiter.check(g.api_key['name'], limit) if limit else (True, None, 0)
+                if allowed:
+                    response = make_response(view(*args, **kwargs))
+                else:
+                    response = make_response(jsonify({
+                        'success': False,
+                        'error': f"Rate limit of {describe_rate_limit(limit)} exceeded for key '{g.api_key['name']}'; retry in {retry_after} s"
+                    }), 429)
+                    response.headers['Retry-After'] = str(retry_after)
+                if limit:
+                    response.headers['X-RateLimit-Limit'] = str(limit[0])
+                    response.headers['X-RateLimit-Remaining'] = str(remaining)
+
+            if audited:
+                audit_log.write(
+                    key=g.api_key['name'] if g.api_key else None,
+                    method=request.method,
+                    endpoint=request.path,
+                    status=response.status_code,
+                    rows=g.audit.get('rows'),
+                    model=g.audit.get('model'),
+                    latency_ms=round((time.perf_counter() - started) * 1000, 1),
+                    remote_addr=request.remote_addr
+                )
+            return response
+        return wrapper
+    return decorator
+
+# Fallback feature list for pipelines that don't record feature_names_in_
+REQUIRED_COLUMNS = [
+    'koi_fpflag_nt', 'koi_fpflag_ss', 'koi_fpflag_co', 'koi_fpflag_ec',
+    'koi_period', 'koi_impact', 'koi_duration', 'koi_depth',
+    'koi_prad', 'koi_teq', 'koi_insol', 'koi_model_snr',
+    'koi_steff', 'koi_slogg', 'koi_srad', 'koi_kepmag'
+]
+
+MODELS_DIR = os.environ.get('MODELS_DIR', 'models')
+DEFAULT_MODEL = os.environ.get('DEFAULT_MODEL', 'rf_pipeline')
+
+def load_models(directory):
+    """Load every *.pkl pipeline in the directory, with metadata from an optional <name>.json."""
+    models = {}
+    if not os.path.isdir(directory):
+        print(f"❌ Models directory '{directory}' not found!")
+        return models
+
+    for filename in sorted(os.listdir(directory)):
+        if not filename.endswith('.pkl'):
+            continue
+
+        model_id = os.path.splitext(filename)[0]
+        path = os.path.join(directory, filename)
+        try:
+            model = joblib.load(path)
+        except Exception as e:
+            print(f"❌ Could not load {filename}: {e}")
+            continue
+
+        features = list(getattr(model, 'feature_names_in_', REQUIRED_COLUMNS))
+        metadata = {
+            'id': model_id,
+            'name': model_id,
+            'version': None,
+            'trained_at': datetime.fromtimestamp(os.path.getmtime(path)).date().isoformat(),
+            'features': features,
+            'estimator': type(model.steps[-1][1]).__name__ if hasattr(model, 'steps') else type(model).__name__
+        }
+
+        metadata_path = os.path.join(directory, model_id + '.json')
+        if os.path.exists(metadata_path):
+            with open(metadata_path) as f:
+                metadata.update(json.load(f))
+            metadata['id'] = model_id
+
+        models[model_id] = {'pipeline': model, 'metadata': metadata}
+        print(f"✅ Model loaded: {metadata['name']} ({model_id})")
+
+    return models
+
+class UnknownModelError(Exception):
+    pass
+
+def get_model(model_id=None):
+    """Look up a loaded model by id, falling back to the default one."""
+    if not models:
+        return None
+    if not model_id:
+        model_id = DEFAULT_MODEL if DEFAULT_MODEL in models else next(iter(models))
+    if model_id not in models:
+        raise UnknownModelError(f"Unknown model '{model_id}'. Available: {', '.join(models)}")
+    return models[model_id]
+
+# Load the models when the server starts
+models = load_models(MODELS_DIR)
+
+# Larger batches belong on /upload, which runs them as a background job
+MAX_PREDICT_ROWS = int(os.environ.get('MAX_PREDICT_ROWS', 10000))
+
+# Labeled KOIs for the similar-object lookup (the NASA Exoplanet Archive cumulative table works as-is;
+# python fetch_reference_catalog.py installs it)
+REFERENCE_CATALOG = os.environ.get('REFERENCE_CATALOG', DEFAULT_REFERENCE_CATALOG)
+reference_catalog = ReferenceCatalog.load(REFERENCE_CATALOG, LABEL_SCHEMA, IDENTIFIER_COLUMNS)
+MAX_SIMILAR_ROWS = int(os.environ.get('MAX_SIMILAR_ROWS', 100))
+MAX_NEIGHBOURS = 50
+
+def parse_prediction_request(max_rows=MAX_PREDICT_ROWS):
+    """Validate a JSON /predict, /explain or /similar body, returning the model and its feature frame."""
+    body = request.get_json(silent=True)
+    if not isinstance(body, dict):
+        raise ValidationError([validation_error('invalid_body', "Request body must be a JSON object with a 'data' list")])
+
+    if isinstance(body.get('data'), list):
+        audit(rows=len(body['data']))
+    try:
+        model = get_model(body.get('model') or request.args.get('model'))
+    except UnknownModelError as e:
+        raise ValidationError([validation_error('unknown_model', str(e))])
+    if model is None:
+        return None, None
+
+    audit(model=model['metadata']['id'])
+    X = validate_rows(body.get('data'), model['metadata']['features'], max_rows)
+    return model, X
+
+def format_predictions(predictions, probabilities, offset=0):
+    """Turn pipeline output into the JSON rows returned by /predict (index is 1-based)."""
+    results = []
+    for i, (pred, prob) in enumerate(zip(predictions, probabilities)):
+        results.append({
+            'index': offset + i + 1,
+            'prediction': int(pred),
+            'is_exoplanet': bool(pred == 1),
+            'confidence': float(max(prob)),  # Maximum probability
+            'exoplanet_probability': float(prob[1]) if len(prob) > 1 else float(prob[0]),
+            'false_positive_probability': float(prob[0]) if len(prob) > 1 else float(prob[0])
+        })
+    return results
 
 @app.route('/predict', methods=['POST', 'OPTIONS'])
+@require_api_key()
 def predict():
     if request.method == 'OPTIONS':
         return '', 200
     try:
-        # Get the CSV data from the request
-        csv_data = request.json.get('data')
-        
-        if not csv_data:
-            return jsonify({'error': 'No data provided'}), 400
-        
-        # Convert to DataFrame
-        df = pd.DataFrame(csv_data)
-        
-        # Ensure we have the required columns in the right order
-        required_columns = [
-            'koi_fpflag_nt', 'koi_fpflag_ss', 'koi_fpflag_co', 'koi_fpflag_ec',
-            'koi_period', 'koi_impact', 'koi_duration', 'koi_depth',
-            'koi_prad', 'koi_teq', 'koi_insol', 'koi_model_snr',
-            'koi_steff', 'koi_slogg', 'koi_srad', 'koi_kepmag'
-        ]
-        
-        # Reorder columns to match model expectations
-        df_reordered = df[required_columns]
+        # Rejects bad input with a 400 before anything reaches the pipeline
+        model, df_reordered = parse_prediction_request()
+        if model is None:
+            return jsonify({'error': 'Model not loaded'}), 500
+        pipeline = model['pipeline']
         
         # Make predictions
-        if pipeline is None:
-            return jsonify({'error': 'Model not loaded'}), 500
-            
         predictions = pipeline.predict(df_reordered)
         probabilities = pipeline.predict_proba(df_reordered)
         
         # Format results
-        results = []
-        for i, (pred, prob) in enumerate(zip(predictions, probabilities)):
-            results.append({
-                'index': i + 1,
-                'prediction': int(pred),
-                'is_exoplanet': bool(pred == 1),
-                'confidence': float(max(prob)),  # Maximum probability
-                'exoplanet_probability': float(prob[1]) if len(prob) > 1 else float(prob[0]),
-                'false_positive_probability': float(prob[0]) if len(prob) > 1 else float(prob[0])
-            })
+        results = format_predictions(predictions, probabilities)
         
         return jsonify({
             'success': True,
+            'model': model['metadata']['id'],
             'predictions': results,
             'total_samples': len(results)
         })
+
+    except ValidationError as e:
+        return jsonify(e.to_dict()), 400
         
     except Exception as e:
+        print(f"❌ Prediction failed: {e}")
+        return jsonify({'error': str(e)}), 500
+
+def explain_predictions(pipeline, df):
+    """Split each row's exoplanet probability into per-feature tree-path contributions.
+
+    For every tree, the change in class probability at each split is credited to the
+    feature that split on, so bias + sum(contributions) equals predict_proba exactly.
+    """
+    preprocessor = pipeline[:-1]
+    forest = pipeline.steps[-1][1]
+    X = preprocessor.transform(df)
+
+    classes = list(forest.classes_)
+    positive = classes.index(1) if 1 in classes else len(classes) - 1
+    n_features = X.shape[1]
+
+    contributions = np.zeros((X.shape[0], n_features))
+    bias = 0.0
+
+    for estimator in forest.estimators_:
+        tree = estimator.tree_
+        values = tree.value[:, 0, :]
+        node_prob = values[:, positive] / values.sum(axis=1)
+
+        # Map every non-root node to the probability change of the split above it
+        parent = np.full(tree.node_count, -1)
+        internal = np.where(tree.children_left >= 0)[0]
+        parent[tree.children_left[internal]] = internal
+        parent[tree.children_right[internal]] = internal
+        children = np.where(parent >= 0)[0]
+        deltas = sparse.csr_matrix(
+            (node_prob[children] - node_prob[parent[children]],
+             (children, tree.feature[parent[children]])),
+            shape=(tree.node_count, n_features)
+        )
+
+        paths = estimator.decision_path(X)
+        contributions += (paths @ deltas).toarray()
+        bias += node_prob[0]
+
+    n_trees = len(forest.estimators_)
+    return bias / n_trees, contributions / n_trees
+
+@app.route('/explain', methods=['POST', 'OPTIONS'])
+@require_api_key()
+def explain():
+    if request.method == 'OPTIONS':
+        return '', 200
+    try:
+        model, df_reordered = parse_prediction_request()
+        if model is None:
+            return jsonify({'error': 'Model not loaded'}), 500
+        pipeline = model['pipeline']
+        features = model['metadata']['features']
+
+        bias, contributions = explain_predictions(pipeline, df_reordered)
+        probabilities = pipeline.predict_proba(df_reordered)
+        forest = pipeline.steps[-1][1]
+
+        explanations = []
+        for i, (row, prob) in enumerate(zip(contributions, probabilities)):
+            explanations.append({
+                'index': i + 1,
+                'exoplanet_probability': float(prob[1]) if len(prob) > 1 else float(prob[0]),
+                'contributions': {col: float(value) for col, value in zip(features, row)}
+            })
+
+        return jsonify({
+            'success': True,
+            'model': model['metadata']['id'],
+            'bias': float(bias),
+            'explanations': explanations,
+            'feature_importances': {
+                col: float(value) for col, value in zip(features, forest.feature_importances_)
+            }
+        })
+
+    except ValidationError as e:
+        return jsonify(e.to_dict()), 400
+
+    except Exception as e:
+        print(f"❌ Explanation failed: {e}")
+        return jsonify({'error': str(e)}), 500
+
+@app.route('/similar', methods=['POST', 'OPTIONS'])
+@require_api_key()
+def similar():
+    """The k catalogued objects nearest to each row in the model's standardized feature space."""
+    if request.method == 'OPTIONS':
+        return '', 200
+    if reference_catalog is None:
+        return jsonify({
+            'error': f"Reference catalog not installed: {REFERENCE_CATALOG} is missing. "
+                     "Run python fetch_reference_catalog.py (or set REFERENCE_CATALOG to a labeled KOI CSV) and restart the server",
+            'code': 'catalog_not_installed'
+        }), 503
+    try:
+        model, X = parse_prediction_request(MAX_SIMILAR_ROWS)
+        if model is None:
+            return jsonify({'error': 'Model not loaded'}), 500
+
+        body = request.get_json(silent=True)
+        k = body.get('k', 5)
+        if isinstance(k, bool) or not isinstance(k, int) or not 1 <= k <= MAX_NEIGHBOURS:
+            raise ValidationError([validation_error('invalid_k', f"'k' must be a whole number from 1 to {MAX_NEIGHBOURS}")])
+
+        # Optional identifier columns per row (e.g. kepoi_name) so a catalogued KOI isn't its own neighbour
+        identifiers = body.get('identifiers')
+        if identifiers is not None and (
+            not isinstance(identifiers, list) or len(identifiers) != len(X)
+            or not all(entry is None or isinstance(entry, dict) for entry in identifiers)
+        ):
+            raise ValidationError([validation_error('invalid_identifiers', "'identifiers' must be a list with one object (or null) per row of 'data'")])
+
+        features = model['metadata']['features']
+        try:
+            neighbours = reference_catalog.neighbours(model['metadata']['id'], model['pipeline'][:-1], features, X, k, identifiers)
+        except ValueError as e:
+            return jsonify({'error': str(e)}), 422
+
+        return jsonify({
+            'success': True,
+            'model': model['metadata']['id'],
+            'catalog': reference_catalog.describe(),
+            'k': k,
+            'results': [
+                {'index': i + 1, 'neighbours': matches, 'excluded': excluded}
+                for i, (matches, excluded) in enumerate(neighbours)
+            ]
+        })
+
+    except ValidationError as e:
+        return jsonify(e.to_dict()), 400
+
+    except Exception as e:
+        print(f"❌ Similar-object lookup failed: {e}")
         return jsonify({'error': str(e)}), 500
 
+# Rows above this are queued as a background job instead of answered in the upload request
+UPLOAD_SYNC_ROWS = int(os.environ.get('UPLOAD_SYNC_ROWS', 5000))
+JOB_CHUNK_ROWS = int(os.environ.get('JOB_CHUNK_ROWS', 5000))
+
+def read_uploaded_csv(upload):
+    """Parse an uploaded CSV/TSV, skipping '#' comment lines like the browser parser does."""
+    text = upload.read().decode('utf-8-sig')
+    header = next((line for line in text.splitlines() if line.strip() and not line.startswith('#')), '')
+    delimiter = max([',', '\t', ';'], key=header.count)
+    return pd.read_csv(io.StringIO(text), sep=delimiter, comment='#', skip_blank_lines=True)
+
+def prepare_features(df, features):
+    """Select the model features; cells that aren't numbers become NaN for the pipeline."""
+    missing = [col for col in features if col not in df.columns]
+    if missing:
+        raise ValidationError([
+            validation_error('missing_column', f"Missing required column '{col}'", column=col) for col in missing
+        ])
+    X = df[features].apply(pd.to_numeric, errors='coerce')
+    check_finite(X)
+    coerced = int((X.isna() & df[features].notna()).sum().sum())
+    return X, coerced
+
+def run_prediction_job(job):
+    pipeline = job.payload['pipeline']
+    X = job.payload['features']
+    results = []
+    for start in range(0, len(X), JOB_CHUNK_ROWS):
+        chunk = X.iloc[start:start + JOB_CHUNK_ROWS]
+        results.extend(format_predictions(pipeline.predict(chunk), pipeline.predict_proba(chunk), offset=start))
+        job.report(start + len(chunk))
+
+    return {
+        'predictions': results,
+        'frame': job.payload['frame']
+    }
+
+jobs = JobQueue(run_prediction_job, ttl=int(os.environ.get('JOB_TTL_SECONDS', 3600)))
+
+def job_status(job):
+    status = job.to_dict()
+    status['status_url'] = f"/jobs/{job.id}"
+    status['result_url'] = f"/jobs/{job.id}/result" if job.status == 'completed' else None
+    return status
+
+@app.route('/upload', methods=['POST', 'OPTIONS'])
+@require_api_key()
+def upload():
+    if request.method == 'OPTIONS':
+        return '', 200
+    try:
+        upload = request.files.get('file')
+        if upload is None or not upload.filename:
+            return jsonify({'error': "No file uploaded (expected multipart field 'file')"}), 400
+
+        model = get_model(request.form.get('model') or request.args.get('model'))
+        if model is None:
+            return jsonify({'error': 'Model not loaded'}), 500
+        audit(model=model['metadata']['id'])
+
+        try:
+            df = read_uploaded_csv(upload)
+        except (ValueError, pd.errors.ParserError, UnicodeDecodeError) as e:
+            raise ValidationError([validation_error('unreadable_file', f"Could not read {upload.filename}: {e}")])
+
+        audit(rows=len(df))
+        if len(df) == 0:
+            raise ValidationError([validation_error('missing_data', 'No data rows found in the uploaded file')])
+        X, coerced = prepare_features(df, model['metadata']['features'])
+
+        run_async = (request.form.get('async') or request.args.get('async') or '').lower() in ('1', 'true', 'yes')
+        if not run_async and len(df) <= UPLOAD_SYNC_ROWS:
+            results = format_predictions(model['pipeline'].predict(X), model['pipeline'].predict_proba(X))
+            return jsonify({
+                'success': True,
+                'model': model['metadata']['id'],
+                'file_name': upload.filename,
+                'coerced_cells': coerced,
+                'predictions': results,
+                'total_samples': len(results)
+            })
+
+        job = jobs.submit(
+            {'pipeline': model['pipeline'], 'features': X, 'frame': df},
+            total=len(df),
+            model=model['metadata']['id'],
+            file_name=upload.filename,
+            coerced_cells=coerced,
+            api_key=g.api_key['name'] if g.api_key else None
+        )
+        print(f"📥 Queued job {job.id}: {upload.filename} ({len(df)} rows)")
+        response = jsonify({'success': True, 'job': job_status(job)})
+        response.headers['Location'] = f"/jobs/{job.id}"
+        return response, 202
+
+    except UnknownModelError as e:
+        return jsonify(ValidationError([validation_error('unknown_model', str(e))]).to_dict()), 400
+
+    except ValidationError as e:
+        return jsonify(e.to_dict()), 400
+
+    except Exception as e:
+        return jsonify({'error': str(e)}), 500
+
+def find_job(job_id):
+    """The job, if it exists and was submitted with the caller's key; other keys' jobs look like unknown ones."""
+    job = jobs.get(job_id)
+    if job is not None and api_keys.enabled and job.meta.get('api_key') != g.api_key['name']:
+        return None
+    return job
+
+@app.route('/jobs/<job_id>', methods=['GET', 'DELETE'])
+@require_api_key(rate_limited=False, audited=False)
+def job_detail(job_id):
+    job = find_job(job_id)
+    if job is not None and request.method == 'DELETE':
+        job = jobs.cancel(job_id)
+    if job is None:
+        return jsonify({'error': f"Unknown or expired job '{job_id}'"}), 404
+    return jsonify({'success': True, 'job': job_status(job)})
+
+@app.route('/jobs/<job_id>/result', methods=['GET'])
+@require_api_key(rate_limited=False)
+def job_result(job_id):
+    job = find_job(job_id)
+    if job is None:
+        return jsonify({'error': f"Unknown or expired job '{job_id}'"}), 404
+    audit(model=job.meta['model'], rows=job.total)
+    if job.status != 'completed':
+        return jsonify({'error': f"Job is {job.status}, no result available", 'job': job_status(job)}), 409
+
+    predictions = job.result['predictions']
+    if request.args.get('format') == 'csv':
+        # The uploaded columns followed by the prediction columns
+        frame = job.result['frame'].copy()
+        for key in ('prediction', 'is_exoplanet', 'confidence', 'exoplanet_probability', 'false_positive_probability'):
+            frame[key] = [p[key] for p in predictions]
+        base = os.path.splitext(secure_filename(job.meta['file_name']))[0] or 'upload'
+        return Response(
+            frame.to_csv(index=False),
+            mimetype='text/csv',
+            headers={'Content-Disposition': f'attachment; filename="{base}_predictions.csv"'}
+        )
+
+    return jsonify({
+        'success': True,
+        'model': job.meta['model'],
+        'file_name': job.meta['file_name'],
+        'coerced_cells': job.meta['coerced_cells'],
+        'predictions': predictions,
+        'total_samples': len(predictions)
+    })
+
+@app.route('/models', methods=['GET'])
+def list_models():
+    default = get_model()
+    return jsonify({
+        'default': default['metadata']['id'] if default else None,
+        'models': [model['metadata'] for model in models.values()]
+    })
+
+@app.route('/schema', methods=['GET'])
+def schema():
+    try:
+        model = get_model(request.args.get('model'))
+    except UnknownModelError as e:
+        return jsonify({'error': str(e)}), 400
+
+    if model is None:
+        return jsonify({'error': 'Model not loaded'}), 500
+
+    return jsonify(model_schema(model))
+
+def model_schema(model):
+    metadata = model['metadata']
+    result = build_schema(metadata['features'], metadata.get('schema'))
+    result['model'] = metadata['id']
+    return result
+
+@app.route('/models/<model_id>/export', methods=['GET'])
+@require_api_key()
+def export_model(model_id):
+    """The model as JSON for in-browser inference; ?download=1 saves it for offline use."""
+    try:
+        model = get_model(model_id)
+    except UnknownModelError as e:
+        return jsonify({'error': str(e)}), 404
+
+    if model is None:
+        return jsonify({'error': 'Model not loaded'}), 500
+    audit(model=model['metadata']['id'])
+
+    if 'export' not in model:
+        metadata = model['metadata']
+        try:
+            exported = export_pipeline(model['pipeline'], metadata['features'], metadata, model_schema(model))
+        except ValueError as e:
+            return jsonify({'error': f"Model '{model_id}' can't run in the browser: {e}"}), 422
+        model['export'] = json.dumps(exported, separators=(',', ':'))
+
+    headers = {}
+    if request.args.get('download'):
+        headers['Content-Disposition'] = f'attachment; filename="{model_id}.forest.json"'
+    return Response(model['export'], mimetype='application/json', headers=headers)
+
 @app.route('/health', methods=['GET'])
 def health():
     return jsonify({
         'status': 'healthy',
-        'model_loaded': pipeline is not None
+        'model_loaded': len(models) > 0,
+        'models_loaded': len(models),
+        'auth_required': api_keys.enabled,
+        'reference_catalog': reference_catalog.describe() if reference_catalog is not None else None
     })
 
 
@@ -91,5 +610,16 @@ def index():
 
 if __name__ == '__main__':
     print("🚀 Starting Exoplanet Prediction Server...")
-    print("📊 Model Status:", "✅ Loaded" if pipeline else "❌ Not Loaded")
-    app.run(debug=True, host='0.0.0.0', port=5000)
+    print("📊 Model Status:", f"✅ {len(models)} loaded" if models else "❌ Not Loaded")
+    print("🔑 API keys:", f"✅ {len(api_keys.keys)} from {api_keys.path}" if api_keys.enabled else "🔓 none configured, the API is open")
+
+    # Listen on localhost unless HOST says otherwise (e.g. HOST=0.0.0.0 to serve a group network)
+    host = os.environ.get('HOST', '127.0.0.1')
+    debug = os.environ.get('FLASK_DEBUG', '').lower() in ('1', 'true', 'yes')
+    if debug and host not in ('127.0.0.1', 'localhost', '::1'):
+        # The Werkzeug debugger runs arbitrary code for anyone who can reach it
+        print(f"⚠️ Debug mode is only allowed on localhost, starting on {host} without it")
+        debug = False
+    if host not in ('127.0.0.1', 'localhost', '::1') and not api_keys.enabled:
+        print(f"⚠️ Serving on {host} without API keys; add one with: python api_auth.py add <name>")
+    app.run(debug=debug, host=host, port=int(os.environ.get('PORT', 5000)))
@@ -0,0 +1,100 @@
+"""Check that the in-browser evaluator (static/forest-model.js) reproduces a pipeline's predict_proba.
+
+    python check_export.py models/rf_pipeline.pkl
+    python check_export.py models/rf_pipeline.pkl --export rf_pipeline.forest.json --sample my_rows.csv
+
+Scores the checked-in sample (data/export_check_sample.csv, which has missing values) plus rows placed
+just either side of split thresholds, with sklearn and with ForestModel under Node.js, and exits with
+status 1 if any probability differs. Run it after changing model_export.py or forest-model.js.
+"""
+import argparse
+import json
+import os
+import subprocess
+import sys
+import tempfile
+import numpy as np
+import pandas as pd
+from model_export import export_pipeline, find_scaler
+
+DEFAULT_SAMPLE = os.path.join('data', 'export_check_sample.csv')
+FOREST_MODEL_JS = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'static', 'forest-model.js')
+TOLERANCE = 1e-9
+
+# forest-model.js is a plain browser script, so evaluate it and take the class it declares
+NODE_RUNNER = """
+const fs = require('fs');
+const ForestModel = new Function(fs.readFileSync(process.argv[1], 'utf8') + '\\nreturn ForestModel;')();
+const model = new ForestModel(JSON.parse(fs.readFileSync(process.argv[2], 'utf8')));
+const rows = JSON.parse(fs.readFileSync(0, 'utf8'));
+process.stdout.write(JSON.stringify(rows.map(row => model.exoplanetProbability(row))));
+"""
+
+def boundary_rows(pipeline, features, base, per_tree=3, seed=0):
+    """Copies of sample rows with one feature moved just below and just above a split threshold.
+
+    Thresholds sit between float32 training values, so these rows land on the wrong branch whenever
+    the evaluator skips the float32 cast sklearn applies before walking the trees.
+    """
+    mean, scale = find_scaler(pipeline.steps[0][1], features)
+    rng = np.random.default_rng(seed)
+    rows = []
+    for estimator in pipeline.steps[-1][1].estimators_:
+        tree = estimator.tree_
+        splits = np.flatnonzero(tree.children_left != -1)
+        for node in rng.choice(splits, size=min(per_tree, len(splits)), replace=False):
+            feature, threshold = tree.feature[node], tree.threshold[node]
+            nudge = max(abs(threshold), 1.0) * 1e-10
+            for scaled in (threshold - nudge, threshold + nudge):
+                row = base.iloc[rng.integers(len(base))].copy()
+                row[features[feature]] = mean[feature] + scale[feature] * scaled
+                rows.append(row)
+    return pd.DataFrame(rows, columns=features)
+
+def forest_model_probabilities(exported_path, rows):
+    """Run ForestModel.exoplanetProbability over rows (a DataFrame) under Node.js."""
+    records = [{k: (None if pd.isna(v) else float(v)) for k, v in row.items()} for row in rows.to_dict('records')]
+    result = subprocess.run(['node', '-e', NODE_RUNNER, FOREST_MODEL_JS, exported_path],
+                            input=json.dumps(records), capture_output=True, text=True, check=True)
+    return np.array(json.loads(result.stdout))
+
+def check_export(pipeline, exported_path, sample):
+    """Return (rows checked, largest difference, indices of rows that differ) for the sample plus boundary rows."""
+    features = list(pipeline.feature_names_in_)
+    missing = [f for f in features if f not in sample.columns]
+    if missing:
+        raise ValueError(f"Sample is missing model features: {', '.join(missing)}")
+
+    base = sample[features].apply(pd.to_numeric, errors='coerce')
+    rows = pd.concat([base, boundary_rows(pipeline, features, base)], ignore_index=True)
+    expected = pipeline.predict_proba(rows)[:, list(pipeline.classes_).index(1)]
+    actual = forest_model_probabilities(exported_path, rows)
+    difference = np.abs(expected - actual)
+    return len(rows), float(difference.max()), np.flatnonzero(difference > TOLERANCE)
+
+if __name__ == '__main__':
+    import joblib
+
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument('model', help='path to a joblib-pickled pipeline (.pkl)')
+    parser.add_argument('--export', help='check this exported JSON instead of exporting the pipeline again')
+    parser.add_argument('--sample', default=DEFAULT_SAMPLE, help=f'CSV of rows to score (default: {DEFAULT_SAMPLE})')
+    args = parser.parse_args()
+
+    pipeline = joblib.load(args.model)
+    sample = pd.read_csv(args.sample)
+
+    if args.export:
+        count, largest, mismatched = check_export(pipeline, args.export, sample)
+    else:
+        with tempfile.TemporaryDirectory() as directory:
+            exported_path = os.path.join(directory, 'model.forest.json')
+            with open(exported_path, 'w') as f:
+                json.dump(export_pipeline(pipeline, list(pipeline.feature_names_in_)), f)
+            count, largest, mismatched = check_export(pipeline, exported_path, sample)
+
+    if len(mismatched) > 0:
+        print(f"❌ {len(mismatched)} of {count} rows differ from predict_proba (largest difference {largest:.3g}), "
+              f"first rows: {', '.join(str(i + 1) for i in mismatched[:10])}")
+        sys.exit(1)
+    print(f"✅ ForestModel matches predict_proba on all {count} rows (largest difference {largest:.3g})")
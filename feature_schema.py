@@ -0,0 +1,177 @@
+# Descriptions, units and valid ranges for the KOI features a model may expect.
+# "min"/"max"/"allowed" are hard validity limits; "input_*" only size the UI sliders.
+# "aliases" are header names used by other catalogs (NASA archive, TESS TOI, K2) and
+# "units" lists the units a column may arrive in, the first being the model's own.
+# "approximations" are columns that measure something close but not the same; the
+# mapping panel suggests them only with a note the user has to confirm.
+FEATURE_CATALOG = {
+    'koi_fpflag_nt': {
+        'type': 'flag', 'label': 'Not transit-like flag', 'unit': None,
+        'description': 'Light curve is not consistent with a transiting planet',
+        'allowed': [0, 1], 'default': 0,
+        'aliases': ['fpflag_nt', 'not_transit_like']
+    },
+    'koi_fpflag_ss': {
+        'type': 'flag', 'label': 'Stellar eclipse flag', 'unit': None,
+        'description': 'Significant secondary event suggests an eclipsing binary',
+        'allowed': [0, 1], 'default': 0,
+        'aliases': ['fpflag_ss', 'stellar_eclipse']
+    },
+    'koi_fpflag_co': {
+        'type': 'flag', 'label': 'Centroid offset flag', 'unit': None,
+        'description': 'Transit source is offset from the target star',
+        'allowed': [0, 1], 'default': 0,
+        'aliases': ['fpflag_co', 'centroid_offset']
+    },
+    'koi_fpflag_ec': {
+        'type': 'flag', 'label': 'Ephemeris match flag', 'unit': None,
+        'description': 'Shares period and epoch with another object (contamination)',
+        'allowed': [0, 1], 'default': 0,
+        'aliases': ['fpflag_ec', 'ephemeris_match']
+    },
+    'koi_period': {
+        'type': 'number', 'label': 'Orbital period', 'unit': 'days',
+        'description': 'Interval between consecutive transits',
+        'min': 0, 'exclusive_min': True,
+        'input_min': 0.2, 'input_max': 800, 'log_scale': True, 'default': 289.86,
+        'aliases': ['pl_orbper', 'period', 'orbital_period', 'orbper'],
+        'units': [
+            {'id': 'days', 'label': 'days', 'factor': 1, 'hints': ['day', 'days', 'd']},
+            {'id': 'hours', 'label': 'hours', 'factor': 1 / 24, 'hints': ['hour', 'hours', 'hr', 'h']},
+            {'id': 'years', 'label': 'years', 'factor': 365.25, 'hints': ['year', 'years', 'yr']}
+        ]
+    },
+    'koi_impact': {
+        'type': 'number', 'label': 'Impact parameter', 'unit': None,
+        'description': 'Sky-projected distance between star and planet centres at conjunction, in stellar radii',
+        'min': 0, 'max': 2,
+        'input_min': 0, 'input_max': 1.5, 'step': 0.01, 'default': 0.4,
+        'aliases': ['pl_imppar', 'impact', 'impact_parameter', 'imppar']
+    },
+    'koi_duration': {
+        'type': 'number', 'label': 'Transit duration', 'unit': 'hours',
+        'description': 'Time from first to last contact',
+        'min': 0, 'exclusive_min': True,
+        'input_min': 0.5, 'input_max': 24, 'step': 0.1, 'default': 7.4,
+        'aliases': ['pl_trandurh', 'pl_trandur', 'duration', 'transit_duration', 'tdur'],
+        'units': [
+            {'id': 'hours', 'label': 'hours', 'factor': 1, 'hints': ['hour', 'hours', 'hr', 'h', 'trandurh']},
+            {'id': 'days', 'label': 'days', 'factor': 24, 'hints': ['day', 'days', 'd']},
+            {'id': 'minutes', 'label': 'minutes', 'factor': 1 / 60, 'hints': ['min', 'minutes']}
+        ]
+    },
+    'koi_depth': {
+        'type': 'number', 'label': 'Transit depth', 'unit': 'ppm',
+        'description': 'Fractional stellar flux lost at mid-transit',
+        'min': 0,
+        'input_min': 10, 'input_max': 50000, 'log_scale': True, 'default': 490,
+        'aliases': ['pl_trandep', 'depth', 'transit_depth', 'tdepth'],
+        'units': [
+            {'id': 'ppm', 'label': 'ppm', 'factor': 1, 'hints': ['ppm'], 'typical': [10, 100000]},
+            {'id': 'percent', 'label': '%', 'factor': 1e4, 'hints': ['%', 'percent', 'pct'], 'typical': [0.001, 10]},
+            {'id': 'fraction', 'label': 'fraction', 'factor': 1e6, 'hints': ['frac', 'fraction', 'relative'], 'typical': [1e-6, 0.001]}
+        ]
+    },
+    'koi_prad': {
+        'type': 'number', 'label': 'Planet radius', 'unit': 'R⊕',
+        'description': 'Planet radius in Earth radii',
+        'min': 0, 'exclusive_min': True,
+        'input_min': 0.3, 'input_max': 50, 'log_scale': True, 'default': 2.38,
+        'aliases': ['pl_rade', 'prad', 'planet_radius', 'radius'],
+        'units': [
+            {'id': 'earth', 'label': 'R⊕', 'factor': 1, 'hints': ['earth', 'rade', 're']},
+            {'id': 'jupiter', 'label': 'R♃', 'factor': 11.209, 'hints': ['jupiter', 'radj', 'rj', 'jup']}
+        ]
+    },
+    'koi_teq': {
+        'type': 'number', 'label': 'Equilibrium temperature', 'unit': 'K',
+        'description': 'Approximate planet temperature assuming a black body',
+        'min': 0, 'exclusive_min': True,
+        'input_min': 100, 'input_max': 3000, 'step': 1, 'default': 262,
+        'aliases': ['pl_eqt', 'teq', 'equilibrium_temperature', 'planet_equil_temp'],
+        'units': [
+            {'id': 'kelvin', 'label': 'K', 'factor': 1, 'hints': ['k', 'kelvin']},
+            {'id': 'celsius', 'label': '°C', 'factor': 1, 'offset': 273.15, 'hints': ['c', 'celsius']}
+        ]
+    },
+    'koi_insol': {
+        'type': 'number', 'label': 'Insolation flux', 'unit': 'S⊕',
+        'description': 'Stellar flux received by the planet relative to Earth',
+        'min': 0,
+        'input_min': 0.1, 'input_max': 10000, 'log_scale': True, 'default': 1.11,
+        'aliases': ['pl_insol', 'insol', 'insolation', 'planet_insolation']
+    },
+    'koi_model_snr': {
+        'type': 'number', 'label': 'Transit signal-to-noise', 'unit': None,
+        'description': 'Transit depth normalised by the mean flux uncertainty in transit',
+        'min': 0,
+        'input_min': 5, 'input_max': 1000, 'log_scale': True, 'default': 35.5,
+        'aliases': ['snr', 'model_snr', 'signal_to_noise']
+    },
+    'koi_steff': {
+        'type': 'number', 'label': 'Stellar effective temperature', 'unit': 'K',
+        'description': 'Photospheric temperature of the host star',
+        'min': 0, 'exclusive_min': True,
+        'input_min': 3000, 'input_max': 10000, 'step': 10, 'default': 5518,
+        'aliases': ['st_teff', 'teff', 'stellar_eff_temp', 'stellar_teff']
+    },
+    'koi_slogg': {
+        'type': 'number', 'label': 'Stellar surface gravity', 'unit': 'log₁₀(cm/s²)',
+        'description': 'Base-10 logarithm of the host star surface gravity',
+        'min': 0, 'max': 6,
+        'input_min': 3, 'input_max': 5.5, 'step': 0.01, 'default': 4.44,
+        'aliases': ['st_logg', 'logg', 'slogg', 'stellar_logg']
+    },
+    'koi_srad': {
+        'type': 'number', 'label': 'Stellar radius', 'unit': 'R☉',
+        'description': 'Host star radius in solar radii',
+        'min': 0, 'exclusive_min': True,
+        'input_min': 0.1, 'input_max': 10, 'log_scale': True, 'default': 0.98,
+        'aliases': ['st_rad', 'srad', 'stellar_radius'],
+        'units': [
+            {'id': 'solar', 'label': 'R☉', 'factor': 1, 'hints': ['sun', 'solar', 'rsun']},
+            {'id': 'km', 'label': 'km', 'factor': 1 / 695700, 'hints': ['km']}
+        ]
+    },
+    'koi_kepmag': {
+        'type': 'number', 'label': 'Kepler-band magnitude', 'unit': 'mag',
+        'description': 'Apparent brightness of the host star in the Kepler band',
+        'min': -5, 'max': 30,
+        'input_min': 8, 'input_max': 18, 'step': 0.01, 'default': 11.66,
+        'aliases': ['kepmag', 'sy_kepmag', 'kep_mag'],
+        'approximations': [
+            {'aliases': ['st_tmag', 'tess_mag', 'tmag'],
+             'note': "TESS-band magnitude, not Kepler-band; the two differ by up to a few tenths of a magnitude depending on the star's colour"}
+        ]
+    }
+}
+
+# Column names accepted as ground truth and the values that mean planet / not planet
+LABEL_SCHEMA = {
+    'columns': ['is_exoplanet', 'exoplanet', 'label', 'target', 'koi_disposition'],
+    'positive_values': ['1', 'true', 'yes', 'confirmed'],
+    'negative_values': ['0', 'false', 'no', 'false positive'],
+    # Recognised but undecided (e.g. Kepler CANDIDATE); these rows are left out of evaluation
+    'unlabeled_values': ['candidate', 'not dispositioned']
+}
+
+# Columns that name an object rather than describe it, in the order preferred for titles.
+# They travel with each row for display and export but are never sent to the model.
+IDENTIFIER_COLUMNS = ['kepler_name', 'kepoi_name', 'kepid', 'pl_name', 'toi', 'tic_id']
+
+def build_schema(features, overrides=None):
+    """Describe the given model features, filling gaps for features missing from the catalog."""
+    overrides = overrides or {}
+    described = []
+    for name in features:
+        entry = {'name': name, 'type': 'number', 'label': name, 'unit': None, 'description': ''}
+        entry.update(FEATURE_CATALOG.get(name, {}))
+        entry.update(overrides.get('features', {}).get(name, {}))
+        described.append(entry)
+
+    label = dict(LABEL_SCHEMA)
+    label.update(overrides.get('label', {}))
+
+    identifiers = overrides.get('identifiers', IDENTIFIER_COLUMNS)
+
+    return {'features': described, 'label': label, 'identifiers': identifiers}
@@ -0,0 +1,57 @@
+"""Download the labeled KOI reference catalog used by /similar from the NASA Exoplanet Archive.
+
+    python fetch_reference_catalog.py                # writes data/koi_reference.csv
+    python fetch_reference_catalog.py -o other.csv --force
+
+Run it once after checkout (it needs internet access); the server only reads the file and never downloads it.
+"""
+import argparse
+import csv
+import io
+import os
+import urllib.parse
+import urllib.request
+from datetime import datetime, timezone
+from feature_schema import FEATURE_CATALOG
+
+DEFAULT_PATH = os.path.join('data', 'koi_reference.csv')
+
+# Identifiers and dispositions plus every KOI feature a model may use, from the cumulative KOI table
+CATALOG_COLUMNS = ['kepid', 'kepoi_name', 'kepler_name', 'koi_disposition'] + list(FEATURE_CATALOG)
+ARCHIVE_URL = 'https://exoplanetarchive.ipac.caltech.edu/TAP/sync?' + urllib.parse.urlencode({
+    'query': f"select {','.join(CATALOG_COLUMNS)} from cumulative",
+    'format': 'csv'
+})
+
+def fetch_catalog(path=DEFAULT_PATH, url=None, timeout=120):
+    """Download the catalog to path and return its row count; the file only appears once the download is complete."""
+    url = url or os.environ.get('REFERENCE_CATALOG_URL') or ARCHIVE_URL
+    with urllib.request.urlopen(url, timeout=timeout) as response:
+        text = response.read().decode('utf-8')
+
+    rows = list(csv.reader(line for line in io.StringIO(text) if not line.startswith('#')))
+    if not rows or 'koi_disposition' not in rows[0] or len(rows) < 2:
+        raise ValueError(f"{url} did not return a KOI table with a koi_disposition column")
+
+    directory = os.path.dirname(path)
+    if directory:
+        os.makedirs(directory, exist_ok=True)
+    partial = path + '.part'
+    with open(partial, 'w', newline='') as f:
+        f.write(f"# NASA Exoplanet Archive cumulative KOI table, downloaded {datetime.now(timezone.utc).date().isoformat()}\n")
+        f.write(f"# {url}\n")
+        csv.writer(f).writerows(rows)
+    os.replace(partial, path)
+    return len(rows) - 1
+
+if __name__ == '__main__':
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument('-o', '--output', default=os.environ.get('REFERENCE_CATALOG', DEFAULT_PATH), help=f'output CSV (default: {DEFAULT_PATH})')
+    parser.add_argument('--url', help='download from this URL instead of the NASA Exoplanet Archive')
+    parser.add_argument('--force', action='store_true', help='replace an existing catalog')
+    args = parser.parse_args()
+
+    if os.path.exists(args.output) and not args.force:
+        parser.error(f"{args.output} already exists; pass --force to download it again")
+    count = fetch_catalog(args.output, args.url)
+    print(f"✅ Saved {count} KOIs to {args.output}")
@@ -0,0 +1,124 @@
+import threading
+import queue
+import time
+import uuid
+
+class JobCancelled(Exception):
+    pass
+
+class Job:
+    def __init__(self, payload, meta):
+        self.id = uuid.uuid4().hex
+        self.status = 'queued'
+        self.payload = payload
+        self.meta = meta
+        self.processed = 0
+        self.total = meta.get('total', 0)
+        self.result = None
+        self.error = None
+        self.created_at = time.time()
+        self.started_at = None
+        self.finished_at = None
+        self.cancel_requested = False
+
+    def report(self, processed):
+        """Record progress; also the point where a cancelled job stops."""
+        self.processed = processed
+        if self.cancel_requested:
+            raise JobCancelled()
+
+    @property
+    def finished(self):
+        return self.status in ('completed', 'failed', 'cancelled')
+
+    def to_dict(self):
+        def timestamp(value):
+            return time.strftime('%Y-%m-%dT%H:%M:%SZ', time.gmtime(value)) if value else None
+
+        return {
+            'id': self.id,
+            'status': self.status,
+            'progress': {'processed': self.processed, 'total': self.total},
+            'error': self.error,
+            'created_at': timestamp(self.created_at),
+            'started_at': timestamp(self.started_at),
+            'finished_at': timestamp(self.finished_at),
+            **{key: value for key, value in self.meta.items() if key != 'total'}
+        }
+
+class JobQueue:
+    """Runs jobs one at a time on a background thread.
+
+    Jobs live in this process's memory, so the server must run as a single process
+    (the default `python app.py`, or gunicorn with one worker) for polling to work.
+    """
+
+    def __init__(self, handler, ttl=3600):
+        self.handler = handler
+        self.ttl = ttl
+        self.jobs = {}
+        self.lock = threading.Lock()
+        self.pending = queue.Queue()
+        self.worker = None
+
+    def submit(self, payload, **meta):
+        self.expire()
+        job = Job(payload, meta)
+        with self.lock:
+            self.jobs[job.id] = job
+        self.pending.put(job.id)
+        self.ensure_worker()
+        return job
+
+    def get(self, job_id):
+        with self.lock:
+            return self.jobs.get(job_id)
+
+    def cancel(self, job_id):
+        job = self.get(job_id)
+        if job is None or job.finished:
+            return job
+        with self.lock:
+            job.cancel_requested = True
+            if job.status == 'queued':
+                job.finished_at = time.time()
+                job.status = 'cancelled'
+                job.payload = None
+        return job
+
+    def expire(self):
+        """Forget finished jobs (and their results) once they are older than the TTL."""
+        cutoff = time.time() - self.ttl
+        with self.lock:
+            for job_id in [job_id for job_id, job in self.jobs.items() if job.finished and job.finished_at < cutoff]:
+                del self.jobs[job_id]
+
+    def ensure_worker(self):
+        if self.worker is None or not self.worker.is_alive():
+            self.worker = threading.Thread(target=self.run, daemon=True)
+            self.worker.start()
+
+    def run(self):
+        while True:
+            job = self.get(self.pending.get())
+            with self.lock:
+                if job is None or job.status != 'queued':
+                    continue
+                job.status = 'running'
+                job.started_at = time.time()
+
+            try:
+                job.result = self.handler(job)
+                status = 'completed'
+            except JobCancelled:
+                status = 'cancelled'
+            except Exception as e:
+                status = 'failed'
+                job.error = str(e)
+                print(f"❌ Job {job.id} failed: {e}")
+            finally:
+                job.payload = None
+
+            # finished_at is set first so expire() never sees a finished job without one
+            job.finished_at = time.time()
+            job.status = status
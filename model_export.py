@@ -0,0 +1,97 @@
+"""Export a scaler + random forest pipeline to JSON for the in-browser evaluator (static/forest-model.js).
+
+    python model_export.py models/rf_pipeline.pkl -o rf_pipeline.json
+
+python check_export.py compares the evaluator with the pipeline's predict_proba; run it after changing either side.
+"""
+import argparse
+import json
+import os
+import numpy as np
+from sklearn.compose import ColumnTransformer
+from sklearn.ensemble import RandomForestClassifier
+from sklearn.pipeline import Pipeline
+from sklearn.preprocessing import StandardScaler
+
+EXPORT_FORMAT = 'exoplanet-forest'
+EXPORT_VERSION = 1
+
+def find_scaler(preprocessor, features):
+    """Return (mean, scale) in feature order from a StandardScaler, possibly inside a ColumnTransformer."""
+    if isinstance(preprocessor, StandardScaler):
+        return preprocessor.mean_, preprocessor.scale_
+
+    if isinstance(preprocessor, ColumnTransformer):
+        transformers = [t for t in preprocessor.transformers_ if t[0] != 'remainder' and t[1] != 'drop']
+        if len(transformers) == 1 and isinstance(transformers[0][1], StandardScaler) \
+                and list(transformers[0][2]) == list(features):
+            scaler = transformers[0][1]
+            return scaler.mean_, scaler.scale_
+
+    raise ValueError(f"Unsupported preprocessing step {type(preprocessor).__name__}: "
+                     f"only a StandardScaler over every feature can be exported")
+
+def export_tree(tree, positive):
+    """Flatten one fitted tree; 'value' is the positive-class probability at every node."""
+    values = tree.value[:, 0, :]
+    return {
+        'feature': tree.feature.tolist(),
+        'threshold': tree.threshold.tolist(),
+        'left': tree.children_left.tolist(),
+        'right': tree.children_right.tolist(),
+        # Which way a missing (NaN) value goes at each split
+        'missing_left': np.asarray(getattr(tree, 'missing_go_to_left', np.zeros(tree.node_count))).astype(int).tolist(),
+        'value': (values[:, positive] / values.sum(axis=1)).tolist()
+    }
+
+def export_pipeline(pipeline, features, metadata=None, schema=None):
+    """Describe the pipeline as plain JSON data; raises ValueError for pipelines the evaluator can't run."""
+    if not isinstance(pipeline, Pipeline) or not isinstance(pipeline.steps[-1][1], RandomForestClassifier):
+        raise ValueError('Only pipelines ending in a RandomForestClassifier can be exported')
+    if len(pipeline.steps) != 2:
+        raise ValueError('Only a single preprocessing step before the forest can be exported')
+
+    forest = pipeline.steps[-1][1]
+    mean, scale = find_scaler(pipeline.steps[0][1], features)
+    classes = [int(c) for c in forest.classes_]
+    positive = classes.index(1) if 1 in classes else len(classes) - 1
+
+    return {
+        'format': EXPORT_FORMAT,
+        'version': EXPORT_VERSION,
+        'model': metadata or {},
+        'features': list(features),
+        'classes': classes,
+        'scaler': {'mean': np.asarray(mean).tolist(), 'scale': np.asarray(scale).tolist()},
+        'feature_importances': forest.feature_importances_.tolist(),
+        'trees': [export_tree(estimator.tree_, positive) for estimator in forest.estimators_],
+        # Lets the UI run fully offline from this one file
+        'schema': schema
+    }
+
+if __name__ == '__main__':
+    import joblib
+    from feature_schema import build_schema
+
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument('model', help='path to a joblib-pickled pipeline (.pkl)')
+    parser.add_argument('-o', '--output', help='output JSON path (default: <model>.forest.json)')
+    args = parser.parse_args()
+
+    pipeline = joblib.load(args.model)
+    features = list(pipeline.feature_names_in_)
+    model_id = os.path.splitext(os.path.basename(args.model))[0]
+    metadata = {'id': model_id, 'name': model_id}
+    metadata_path = os.path.splitext(args.model)[0] + '.json'
+    if os.path.exists(metadata_path):
+        with open(metadata_path) as f:
+            metadata.update(json.load(f))
+        metadata['id'] = model_id
+
+    schema = build_schema(features, metadata.get('schema'))
+    schema['model'] = model_id
+    exported = export_pipeline(pipeline, features, metadata, schema)
+    output = args.output or os.path.splitext(args.model)[0] + '.forest.json'
+    with open(output, 'w') as f:
+        json.dump(exported, f, separators=(',', ':'))
+    print(f"✅ Exported {len(exported['trees'])} trees to {output}")
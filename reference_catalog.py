@@ -0,0 +1,139 @@
+import os
+import re
+import numpy as np
+import pandas as pd
+from sklearn.metrics.pairwise import nan_euclidean_distances
+
+# Star identifiers are shared by every KOI of a multi-planet system, so they only decide
+# what counts as the queried object when it names no individual planet or KOI
+STAR_IDENTIFIERS = {'kepid', 'tic_id'}
+
+def normalize_identifier(value):
+    """'K00752.01 ' and 'k00752.01' compare equal, as do 10797460 and '10797460.0'."""
+    if value is None or (isinstance(value, float) and np.isnan(value)):
+        return None
+    text = str(value).strip().lower()
+    try:
+        number = float(text)
+    except ValueError:
+        return text or None
+    return str(int(number)) if number.is_integer() else text
+
+class ReferenceCatalog:
+    """Labeled KOIs to compare new candidates against, e.g. the NASA Exoplanet Archive cumulative table.
+
+    Distances are measured in each model's own standardized feature space, so a unit of distance
+    means the same to the neighbour lookup as it does to the model. Missing values are skipped
+    (nan-euclidean), since many catalogued KOIs lack a stellar or planetary parameter.
+    """
+
+    def __init__(self, frame, path, label_schema, identifier_columns):
+        self.frame = frame.reset_index(drop=True)
+        self.path = path
+        self.label_schema = label_schema
+        self.label_column = next((col for col in label_schema['columns'] if col in frame.columns), None)
+        self.identifier_columns = [col for col in identifier_columns if col in frame.columns]
+        self.standardized = {}
+        self.identifier_values = {}
+
+    @classmethod
+    def load(cls, path, label_schema, identifier_columns):
+        """Read the catalog CSV ('#' header lines allowed); returns None when there is no file."""
+        if not os.path.exists(path):
+            print(f"⚠️ Reference catalog '{path}' not found, similar-object lookup disabled (python fetch_reference_catalog.py downloads it)")
+            return None
+
+        frame = pd.read_csv(path, comment='#', low_memory=False)
+        catalog = cls(frame, path, label_schema, identifier_columns)
+        if catalog.label_column is None:
+            print(f"⚠️ Reference catalog '{path}' has no disposition column ({', '.join(label_schema['columns'])}), ignoring it")
+            return None
+
+        catalog.frame = catalog.frame[catalog.frame[catalog.label_column].notna()].reset_index(drop=True)
+        print(f"✅ Reference catalog loaded: {len(catalog.frame)} objects from {path}")
+        return catalog
+
+    def __len__(self):
+        return len(self.frame)
+
+    def describe(self):
+        return {
+            'name': os.path.basename(self.path),
+            'size': len(self.frame),
+            'label_column': self.label_column,
+            'identifier_columns': self.identifier_columns
+        }
+
+    def features_for(self, model_id, preprocessor, features):
+        """The catalog transformed by a model's preprocessing, computed once per model."""
+        if model_id not in self.standardized:
+            missing = [col for col in features if col not in self.frame.columns]
+            if missing:
+                raise ValueError(f"Reference catalog lacks model features: {', '.join(missing)}")
+            X = self.frame[features].apply(pd.to_numeric, errors='coerce')
+            self.standardized[model_id] = np.asarray(preprocessor.transform(X), dtype=float)
+        return self.standardized[model_id]
+
+    def same_object(self, identifiers):
+        """Mask of catalog rows that are the queried object itself, judged by its identifier columns."""
+        given = {}
+        for col, value in (identifiers or {}).items():
+            value = normalize_identifier(value)
+            if col in self.identifier_columns and value is not None:
+                given[col] = value
+        objects = {col: value for col, value in given.items() if col not in STAR_IDENTIFIERS}
+
+        mask = np.zeros(len(self.frame), dtype=bool)
+        for col, value in (objects or given).items():
+            if col not in self.identifier_values:
+                self.identifier_values[col] = self.frame[col].map(normalize_identifier).to_numpy()
+            mask |= self.identifier_values[col] == value
+        return mask
+
+    def neighbours(self, model_id, preprocessor, features, X, k, identifiers=None):
+        """The k nearest catalogued objects for every row of X (raw feature values).
+
+        identifiers, one dict per row, keeps an uploaded KOI from being matched against its own
+        catalog entry. Returns (matches, excluded) per row, excluded counting the rows left out.
+        """
+        reference = self.features_for(model_id, preprocessor, features)
+        query = np.asarray(preprocessor.transform(X), dtype=float)
+        distances = nan_euclidean_distances(query, reference)
+
+        results = []
+        for i, row in enumerate(distances):
+            excluded = self.same_object(identifiers[i] if identifiers else None)
+            # Rows with no feature in common come out as NaN and sort last
+            order = np.argsort(np.where(np.isnan(row), np.inf, row), kind='stable')
+            nearest = order[~excluded[order]][:k]
+            results.append(([self.describe_match(j, row[j], features) for j in nearest], int(excluded.sum())))
+        return results
+
+    def is_exoplanet(self, disposition):
+        """1/0 by the label schema (CONFIRMED / FALSE POSITIVE), None for CANDIDATE and the like."""
+        value = re.sub(r'[_\s]+', ' ', str(disposition).strip().lower())
+        if value in self.label_schema['positive_values']:
+            return 1
+        if value in self.label_schema['negative_values']:
+            return 0
+        try:
+            number = float(value)
+        except ValueError:
+            return None
+        return int(number) if number in (0, 1) else None
+
+    def describe_match(self, i, distance, features):
+        record = self.frame.iloc[i]
+
+        def plain(value):
+            if pd.isna(value):
+                return None
+            return value.item() if hasattr(value, 'item') else value
+
+        return {
+            'distance': None if np.isnan(distance) else float(distance),
+            'disposition': plain(record[self.label_column]),
+            'is_exoplanet': self.is_exoplanet(record[self.label_column]),
+            'identifiers': {col: plain(record[col]) for col in self.identifier_columns},
+            'features': {col: plain(pd.to_numeric(record[col], errors='coerce')) for col in features}
+        }
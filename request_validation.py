@@ -0,0 +1,113 @@
+import math
+import numbers
+import numpy as np
+import pandas as pd
+
+# Bad files can produce one error per cell; past this many only the count is reported
+MAX_REPORTED_ERRORS = 100
+
+class ValidationError(Exception):
+    """A request the API refuses to run, with every problem found as a machine-readable error."""
+
+    def __init__(self, errors):
+        self.errors = errors
+        first = describe(errors[0]) if errors else 'Invalid request'
+        more = f" (and {len(errors) - 1} more)" if len(errors) > 1 else ''
+        super().__init__(first + more)
+
+    def to_dict(self):
+        return {
+            'success': False,
+            'error': str(self),
+            'errors': self.errors[:MAX_REPORTED_ERRORS],
+            'error_count': len(self.errors),
+            'truncated': len(self.errors) > MAX_REPORTED_ERRORS
+        }
+
+def describe(error):
+    return f"Row {error['row']}: {error['message']}" if error['row'] else error['message']
+
+def validation_error(code, message, column=None, row=None):
+    """Rows are 1-based like the prediction index; column and row are None when they don't apply."""
+    return {'code': code, 'column': column, 'row': row, 'message': message}
+
+def parse_cell(value):
+    """Return (number, error_code); null and empty cells are missing values (NaN) for the pipeline."""
+    if value is None or (isinstance(value, str) and not value.strip()):
+        return np.nan, None
+    if isinstance(value, bool):
+        return None, 'invalid_type'
+    if isinstance(value, numbers.Number):
+        number = float(value)
+    elif isinstance(value, str):
+        try:
+            number = float(value)
+        except ValueError:
+            return None, 'invalid_type'
+    else:
+        return None, 'invalid_type'
+    return (number, None) if math.isfinite(number) else (None, 'not_finite')
+
+def validate_rows(data, features, max_rows):
+    """Check a /predict style `data` payload and return it as a float DataFrame of the model features."""
+    if data is None or (isinstance(data, list) and len(data) == 0):
+        raise ValidationError([validation_error('missing_data', "No data provided: 'data' must be a non-empty list of rows")])
+    if not isinstance(data, list):
+        raise ValidationError([validation_error('invalid_data', f"'data' must be a list of rows, got {type(data).__name__}")])
+    if len(data) > max_rows:
+        raise ValidationError([validation_error(
+            'too_many_rows',
+            f"Request has {len(data)} rows but at most {max_rows} are accepted per request; "
+            f"split it into smaller batches or use /upload"
+        )])
+
+    errors = []
+    for i, row in enumerate(data):
+        if not isinstance(row, dict):
+            errors.append(validation_error(
+                'invalid_row', f"Expected an object keyed by column name, got {type(row).__name__}", row=i + 1
+            ))
+    if errors:
+        raise ValidationError(errors)
+
+    present = set().union(*(row.keys() for row in data))
+    for column in features:
+        if column not in present:
+            errors.append(validation_error('missing_column', f"Missing required column '{column}'", column=column))
+    if errors:
+        raise ValidationError(errors)
+
+    values = np.empty((len(data), len(features)))
+    for i, row in enumerate(data):
+        for j, column in enumerate(features):
+            raw = row.get(column)
+            number, code = parse_cell(raw)
+            if code == 'invalid_type':
+                errors.append(validation_error(
+                    code, f"'{column}' must be a number or null, got {raw!r}", column=column, row=i + 1
+                ))
+            elif code == 'not_finite':
+                errors.append(validation_error(
+                    code, f"'{column}' is {raw}; use null for missing values", column=column, row=i + 1
+                ))
+            else:
+                values[i, j] = number
+    if errors:
+        raise ValidationError(errors)
+
+    return pd.DataFrame(values, columns=features)
+
+def check_finite(X):
+    """Reject infinite values in an already numeric frame (uploaded files), by 1-based data row."""
+    rows, cols = np.nonzero(np.isinf(X.to_numpy(dtype=float)))
+    errors = [
+        validation_error(
+            'not_finite',
+            f"'{X.columns[col]}' is {X.iat[row, col]}; leave the cell empty for missing values",
+            column=X.columns[col],
+            row=int(row + 1)
+        )
+        for row, col in zip(rows, cols)
+    ]
+    if errors:
+        raise ValidationError(errors)
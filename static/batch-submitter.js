@@ -0,0 +1,120 @@
+class BatchSubmitter {
+    constructor(send, options = {}) {
+        this.send = send; // (rows, signal) => Promise<predictions>
+        this.batchSize = options.batchSize || 500;
+        this.concurrency = options.concurrency || 2;
+        this.maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+        this.baseDelay = options.baseDelay || 1000;
+        this.onProgress = options.onProgress || (() => {});
+        this.controller = null;
+    }
+
+    cancel() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    // Resolves with predictions in source order plus any batches that kept failing
+    async run(rows) {
+        this.controller = new AbortController();
+        const signal = this.controller.signal;
+
+        const batches = [];
+        for (let start = 0; start < rows.length; start += this.batchSize) {
+            batches.push({ start: start, rows: rows.slice(start, start + this.batchSize) });
+        }
+
+        const results = new Array(batches.length);
+        const failed = [];
+        const startTime = performance.now();
+        let completedRows = 0;
+        let nextBatch = 0;
+
+        const report = (status) => {
+            const elapsed = (performance.now() - startTime) / 1000;
+            this.onProgress({
+                completedRows: completedRows,
+                totalRows: rows.length,
+                completedBatches: results.filter(Boolean).length + failed.length,
+                totalBatches: batches.length,
+                rowsPerSecond: elapsed > 0 ? completedRows / elapsed : 0,
+                status: status || ''
+            });
+        };
+
+        const worker = async () => {
+            while (nextBatch < batches.length && !signal.aborted) {
+                const batchIndex = nextBatch++;
+                const batch = batches[batchIndex];
+                try {
+                    const predictions = await this.sendWithRetry(batch, batchIndex, signal, report);
+                    // Server indexes are per batch; shift them back to source row positions
+                    predictions.forEach((prediction, i) => {
+                        prediction.index = batch.start + i + 1;
+                    });
+                    results[batchIndex] = predictions;
+                    completedRows += batch.rows.length;
+                    report();
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    // Validation errors point at rows within the batch, too
+                    if (error.errors) {
+                        error.errors = error.errors.map(item => (item.row ? { ...item, row: batch.start + item.row } : item));
+                    }
+                    failed.push({ start: batch.start, end: batch.start + batch.rows.length, error: error });
+                    report(`Batch ${batchIndex + 1} failed: ${error.message}`);
+                }
+            }
+        };
+
+        report();
+        const workers = Array.from({ length: Math.min(this.concurrency, batches.length) }, worker);
+        try {
+            await Promise.all(workers);
+        } finally {
+            this.controller = null;
+        }
+
+        if (signal.aborted) {
+            throw new DOMException('Prediction cancelled', 'AbortError');
+        }
+
+        return {
+            predictions: results.filter(Boolean).flat(),
+            failed: failed.sort((a, b) => a.start - b.start)
+        };
+    }
+
+    async sendWithRetry(batch, batchIndex, signal, report) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(batch.rows, signal);
+            } catch (error) {
+                if (error.name === 'AbortError' || attempt >= this.maxRetries || !this.isRetryable(error)) {
+                    throw error;
+                }
+                // A rate-limited server says how long to wait
+                const delay = Math.max(this.baseDelay * Math.pow(2, attempt), (error.retryAfter || 0) * 1000);
+                report(`Batch ${batchIndex + 1} failed (${error.message}), retrying in ${(delay / 1000).toFixed(1)}s...`);
+                await this.sleep(delay, signal);
+            }
+        }
+    }
+
+    // Client errors (bad input) will fail the same way again; network and server errors may not
+    isRetryable(error) {
+        if (!error.status) return true;
+        return error.status === 429 || error.status >= 500;
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Prediction cancelled', 'AbortError'));
+            }, { once: true });
+        });
+    }
+}
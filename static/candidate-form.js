@@ -0,0 +1,247 @@
+class CandidateForm {
+    constructor(container, predict) {
+        this.container = container;
+        this.predict = predict; // (row, signal) => Promise<prediction>
+        this.fields = [];
+        this.baseline = null;
+        this.pending = null;
+        this.updateTimer = null;
+        // Set from a 429's Retry-After; requests wait until then instead of being refused again
+        this.blockedUntil = 0;
+        this.container.innerHTML = '<p class="section-intro">Loading model schema...</p>';
+    }
+
+    static fieldsFromSchema(schema) {
+        return schema.features.map(feature => {
+            const isFlag = feature.type === 'flag';
+            return {
+                key: feature.name,
+                label: feature.label,
+                description: feature.description,
+                unit: feature.unit || (isFlag ? '0/1' : ''),
+                min: isFlag ? 0 : feature.input_min,
+                max: isFlag ? 1 : feature.input_max,
+                step: isFlag ? 1 : feature.step,
+                value: feature.default !== undefined ? feature.default : '',
+                log: Boolean(feature.log_scale)
+            };
+        });
+    }
+
+    setFields(fields) {
+        this.fields = fields;
+        this.baseline = null;
+        this.build();
+    }
+
+    build() {
+        const rows = this.fields.map(field => `
+            <div class="candidate-field" data-key="${field.key}" title="${field.description || ''}">
+                <label for="field-${field.key}">
+                    <span class="field-name">${field.key}</span>
+                    <span class="field-description">${field.label}${field.unit ? ` (${field.unit})` : ''}</span>
+                </label>
+                <div class="field-inputs">
+                    <input type="range" class="field-slider" min="0" max="1000" step="1" aria-label="${field.label} slider">
+                    <input type="number" class="field-number" id="field-${field.key}" step="any" value="${field.value}">
+                </div>
+            </div>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="candidate-grid">${rows}</div>
+            <div class="candidate-actions">
+                <button class="predict-btn candidate-predict">🔮 Predict Candidate</button>
+                <button class="secondary-btn candidate-reset" disabled>↺ Reset to baseline</button>
+            </div>
+            <div class="candidate-result" style="display: none;"></div>
+        `;
+
+        this.container.querySelectorAll('.candidate-field').forEach(element => {
+            const field = this.fields.find(f => f.key === element.dataset.key);
+            const slider = element.querySelector('.field-slider');
+            const number = element.querySelector('.field-number');
+
+            // Features without a known range get a plain number input
+            if (!this.hasRange(field)) {
+                slider.style.display = 'none';
+            } else if (field.value !== '') {
+                slider.value = this.toSlider(field, field.value);
+            }
+
+            slider.addEventListener('input', () => {
+                number.value = this.round(this.fromSlider(field, parseFloat(slider.value)));
+                this.scheduleWhatIf();
+            });
+            number.addEventListener('input', () => {
+                const value = parseFloat(number.value);
+                if (Number.isFinite(value) && this.hasRange(field)) {
+                    slider.value = this.toSlider(field, value);
+                }
+                this.scheduleWhatIf();
+            });
+        });
+
+        this.container.querySelector('.candidate-predict').addEventListener('click', () => this.runBaseline());
+        this.container.querySelector('.candidate-reset').addEventListener('click', () => this.resetToBaseline());
+    }
+
+    hasRange(field) {
+        return Number.isFinite(field.min) && Number.isFinite(field.max) && field.max > field.min;
+    }
+
+    // Sliders run 0..1000 internally so wide ranges can use a logarithmic scale
+    toSlider(field, value) {
+        const clamped = Math.min(field.max, Math.max(field.min, value));
+        const fraction = field.log
+            ? (Math.log(clamped) - Math.log(field.min)) / (Math.log(field.max) - Math.log(field.min))
+            : (clamped - field.min) / (field.max - field.min);
+        return Math.round(fraction * 1000);
+    }
+
+    fromSlider(field, position) {
+        const fraction = position / 1000;
+        const value = field.log
+            ? Math.exp(Math.log(field.min) + fraction * (Math.log(field.max) - Math.log(field.min)))
+            : field.min + fraction * (field.max - field.min);
+        return field.step ? Math.round(value / field.step) * field.step : value;
+    }
+
+    round(value) {
+        return parseFloat(value.toPrecision(4));
+    }
+
+    readRow() {
+        const row = {};
+        const invalid = [];
+        this.fields.forEach(field => {
+            const input = this.container.querySelector(`#field-${field.key}`);
+            const value = input.value.trim() === '' ? NaN : Number(input.value);
+            input.classList.toggle('invalid', !Number.isFinite(value));
+            if (!Number.isFinite(value)) invalid.push(field.key);
+            row[field.key] = value;
+        });
+        return { row, invalid };
+    }
+
+    async runBaseline() {
+        const { row, invalid } = this.readRow();
+        if (invalid.length > 0) {
+            this.showMessage(`❌ Please enter a number for: ${invalid.join(', ')}`, true);
+            return;
+        }
+
+        const prediction = await this.request(row);
+        if (!prediction) return;
+
+        this.baseline = { row, prediction };
+        this.container.querySelector('.candidate-reset').disabled = false;
+        this.renderResult(prediction);
+    }
+
+    scheduleWhatIf() {
+        // Live updates only make sense once there is a baseline to compare against
+        if (!this.baseline) return;
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(async () => {
+            const { row, invalid } = this.readRow();
+            if (invalid.length > 0) return;
+            const prediction = await this.request(row);
+            if (prediction) {
+                this.renderResult(prediction);
+            }
+        }, 150);
+    }
+
+    async request(row) {
+        // Drop any in-flight request so slow responses never overwrite newer ones
+        if (this.pending) {
+            this.pending.abort();
+        }
+        const controller = new AbortController();
+        this.pending = controller;
+
+        try {
+            for (;;) {
+                await this.waitUntil(this.blockedUntil, controller.signal);
+                try {
+                    return await this.predict(row, controller.signal);
+                } catch (error) {
+                    if (error.status !== 429) throw error;
+                    const seconds = Math.max(1, error.retryAfter || 1);
+                    this.blockedUntil = Date.now() + seconds * 1000;
+                    this.showMessage(`⏳ Rate limit reached for your API key; updating again in ${seconds} s...`, false);
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.showMessage(`❌ ${error.message}`, true);
+            }
+            return null;
+        } finally {
+            if (this.pending === controller) {
+                this.pending = null;
+            }
+        }
+    }
+
+    // Resolves at the given time, or rejects with an AbortError if a newer request replaces this one
+    waitUntil(time, signal) {
+        const delay = time - Date.now();
+        if (delay <= 0) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, delay);
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request replaced', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    resetToBaseline() {
+        if (!this.baseline) return;
+        this.fields.forEach(field => {
+            const element = this.container.querySelector(`.candidate-field[data-key="${field.key}"]`);
+            element.querySelector('.field-number').value = this.baseline.row[field.key];
+            if (this.hasRange(field)) {
+                element.querySelector('.field-slider').value = this.toSlider(field, this.baseline.row[field.key]);
+            }
+        });
+        this.renderResult(this.baseline.prediction);
+    }
+
+    renderResult(prediction) {
+        const result = this.container.querySelector('.candidate-result');
+        const probability = prediction.exoplanetProbability;
+        const baseline = this.baseline ? this.baseline.prediction.exoplanetProbability : probability;
+        const delta = probability - baseline;
+
+        const current = this.readRow().row;
+        const changed = this.baseline
+            ? this.fields.filter(f => current[f.key] !== this.baseline.row[f.key]).map(f => f.key)
+            : [];
+
+        result.style.display = 'block';
+        result.className = `candidate-result ${prediction.isExoplanet ? 'exoplanet' : 'not-exoplanet'}`;
+        result.innerHTML = `
+            <div class="result-label ${prediction.isExoplanet ? 'exoplanet' : 'not-exoplanet'}">
+                ${prediction.isExoplanet ? '🌍 Exoplanet' : '⭐ Not Exoplanet'}
+            </div>
+            <div class="probability-meter">
+                <div class="probability-fill" style="width: ${(probability * 100).toFixed(1)}%;"></div>
+                <div class="probability-baseline" style="left: ${(baseline * 100).toFixed(1)}%;" title="Baseline"></div>
+            </div>
+            <p><strong>Exoplanet Probability:</strong> ${(probability * 100).toFixed(1)}%
+                ${Math.abs(delta) >= 0.0005 ? `<span class="probability-delta ${delta > 0 ? 'up' : 'down'}">${delta > 0 ? '▲' : '▼'} ${(Math.abs(delta) * 100).toFixed(1)} pts vs. baseline</span>` : ''}
+            </p>
+            ${changed.length ? `<p class="changed-features">What-if changes: ${changed.join(', ')}</p>` : ''}
+        `;
+    }
+
+    showMessage(message, isError) {
+        const result = this.container.querySelector('.candidate-result');
+        result.style.display = 'block';
+        result.className = `candidate-result ${isError ? 'not-exoplanet' : ''}`;
+        result.textContent = message;
+    }
+}
@@ -0,0 +1,289 @@
+class ChartsDashboard {
+    constructor(container, predictions, options = {}) {
+        this.container = container;
+        this.predictions = predictions;
+        this.onSelect = options.onSelect || (() => {});
+        this.getTitle = options.getTitle || (prediction => `Row ${prediction.index}`);
+        this.maxPoints = options.maxPoints || 5000;
+        this.bins = options.bins || 20;
+        this.selected = null;
+        this.build();
+    }
+
+    // Conservative habitable zone (Kopparapu et al. 2013, Sun-like star) and a matching Teq range
+    static get HABITABLE_ZONE() {
+        return { insol: [0.36, 1.11], teq: [175, 320] };
+    }
+
+    build() {
+        this.container.innerHTML = `
+            <h3>📈 Visual Analytics</h3>
+            <p class="charts-note"></p>
+            <div class="charts-grid">
+                <div>
+                    <h4>Orbital period vs. planet radius</h4>
+                    <div class="chart period-radius"></div>
+                </div>
+                <div>
+                    <h4>Equilibrium temperature vs. insolation</h4>
+                    <div class="chart temperature-insolation"></div>
+                </div>
+                <div>
+                    <h4>Exoplanet probability</h4>
+                    <div class="chart probability-histogram"></div>
+                </div>
+            </div>
+            <div class="chart-legend">
+                <span class="legend-item exoplanet">🌍 Exoplanet</span>
+                <span class="legend-item not-exoplanet">⭐ Not exoplanet</span>
+                <span class="legend-item habitable">Habitable zone</span>
+            </div>
+            <div class="chart-tooltip" style="display: none;"></div>
+        `;
+        this.tooltip = this.container.querySelector('.chart-tooltip');
+
+        // One delegated listener per chart instead of one per point
+        this.container.querySelectorAll('.chart').forEach(chart => {
+            chart.addEventListener('mousemove', (e) => this.showTooltip(e));
+            chart.addEventListener('mouseleave', () => {
+                this.tooltip.style.display = 'none';
+            });
+            chart.addEventListener('click', (e) => {
+                const point = e.target.closest('[data-i]');
+                if (!point) return;
+                this.select(this.plotted[parseInt(point.dataset.i)]);
+            });
+        });
+
+        this.render();
+    }
+
+    // Re-render after predictions are relabelled (e.g. by the threshold slider)
+    render() {
+        this.plotted = this.samplePoints();
+        const skipped = { periodRadius: 0, temperatureInsolation: 0 };
+
+        this.container.querySelector('.period-radius').innerHTML = this.renderScatter({
+            x: 'koi_period', y: 'koi_prad', xLog: true, yLog: true,
+            xLabel: 'Orbital period (days)', yLabel: 'Planet radius (R⊕)',
+            onSkip: () => skipped.periodRadius++
+        });
+        this.container.querySelector('.temperature-insolation').innerHTML = this.renderScatter({
+            x: 'koi_insol', y: 'koi_teq', xLog: true, yLog: true,
+            xLabel: 'Insolation (S⊕)', yLabel: 'Equilibrium temperature (K)',
+            habitableZone: true,
+            onSkip: () => skipped.temperatureInsolation++
+        });
+        this.container.querySelector('.probability-histogram').innerHTML = this.renderHistogram();
+
+        const notes = [];
+        if (this.plotted.length < this.predictions.length) {
+            notes.push(`Scatter plots show an even sample of ${this.plotted.length.toLocaleString()} of ${this.predictions.length.toLocaleString()} rows.`);
+        }
+        if (skipped.periodRadius || skipped.temperatureInsolation) {
+            notes.push(`Rows with missing or non-positive values are left off the log axes (${skipped.periodRadius} from period/radius, ${skipped.temperatureInsolation} from temperature/insolation).`);
+        }
+        notes.push('Hover a point for details, click it to find the row in the results.');
+        this.container.querySelector('.charts-note').textContent = notes.join(' ');
+    }
+
+    samplePoints() {
+        if (this.predictions.length <= this.maxPoints) return this.predictions;
+        const stride = this.predictions.length / this.maxPoints;
+        return Array.from({ length: this.maxPoints }, (_, i) => this.predictions[Math.floor(i * stride)]);
+    }
+
+    select(prediction) {
+        this.selected = prediction;
+        this.container.querySelectorAll('.point.selected').forEach(point => point.classList.remove('selected'));
+        const i = this.plotted.indexOf(prediction);
+        this.container.querySelectorAll(`.point[data-i="${i}"]`).forEach(point => point.classList.add('selected'));
+        this.onSelect(prediction);
+    }
+
+    // Maps a value into pixel space; log axes work in log10
+    scale(domain, range, log) {
+        const [d0, d1] = log ? domain.map(Math.log10) : domain;
+        return (value) => {
+            const v = log ? Math.log10(value) : value;
+            return range[0] + (v - d0) / ((d1 - d0) || 1) * (range[1] - range[0]);
+        };
+    }
+
+    domain(values, log) {
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (log) {
+            // Snap to whole decades so tick labels stay readable
+            min = Math.pow(10, Math.floor(Math.log10(min)));
+            max = Math.pow(10, Math.ceil(Math.log10(max)));
+            if (min === max) max = min * 10;
+        } else if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        return [min, max];
+    }
+
+    ticks(domain, log) {
+        if (log) {
+            const ticks = [];
+            for (let exp = Math.round(Math.log10(domain[0])); exp <= Math.round(Math.log10(domain[1])); exp++) {
+                ticks.push(Math.pow(10, exp));
+            }
+            return ticks;
+        }
+        const step = (domain[1] - domain[0]) / 4;
+        return [0, 1, 2, 3, 4].map(i => domain[0] + i * step);
+    }
+
+    formatTick(value) {
+        if (value >= 10000 || value < 0.01) return value.toExponential(0);
+        return String(parseFloat(value.toPrecision(3)));
+    }
+
+    renderScatter(options) {
+        const width = 340;
+        const height = 260;
+        const pad = { left: 45, right: 10, top: 10, bottom: 35 };
+
+        const points = [];
+        this.plotted.forEach((prediction, i) => {
+            const x = Number(prediction.data[options.x]);
+            const y = Number(prediction.data[options.y]);
+            const valid = (value, log) => Number.isFinite(value) && (!log || value > 0);
+            if (valid(x, options.xLog) && valid(y, options.yLog)) {
+                points.push({ x, y, i, prediction });
+            } else {
+                options.onSkip();
+            }
+        });
+
+        if (points.length === 0) {
+            return '<p class="chart-empty">No rows with usable values for this chart.</p>';
+        }
+
+        const xDomain = this.domain(points.map(p => p.x), options.xLog);
+        const yDomain = this.domain(points.map(p => p.y), options.yLog);
+        const sx = this.scale(xDomain, [pad.left, width - pad.right], options.xLog);
+        const sy = this.scale(yDomain, [height - pad.bottom, pad.top], options.yLog);
+        const clampX = (v) => Math.min(width - pad.right, Math.max(pad.left, sx(v)));
+        const clampY = (v) => Math.min(height - pad.bottom, Math.max(pad.top, sy(v)));
+
+        const xTicks = this.ticks(xDomain, options.xLog).map(t => `
+            <line x1="${sx(t)}" y1="${pad.top}" x2="${sx(t)}" y2="${height - pad.bottom}" class="grid"/>
+            <text x="${sx(t)}" y="${height - pad.bottom + 14}" text-anchor="middle">${this.formatTick(t)}</text>
+        `).join('');
+        const yTicks = this.ticks(yDomain, options.yLog).map(t => `
+            <line x1="${pad.left}" y1="${sy(t)}" x2="${width - pad.right}" y2="${sy(t)}" class="grid"/>
+            <text x="${pad.left - 6}" y="${sy(t) + 3}" text-anchor="end">${this.formatTick(t)}</text>
+        `).join('');
+
+        let band = '';
+        if (options.habitableZone) {
+            const zone = ChartsDashboard.HABITABLE_ZONE;
+            band = `
+                <rect class="habitable-zone" x="${clampX(zone.insol[0])}" y="${pad.top}"
+                    width="${clampX(zone.insol[1]) - clampX(zone.insol[0])}" height="${height - pad.top - pad.bottom}"/>
+                <rect class="habitable-zone" x="${pad.left}" y="${clampY(zone.teq[1])}"
+                    width="${width - pad.left - pad.right}" height="${clampY(zone.teq[0]) - clampY(zone.teq[1])}"/>
+            `;
+        }
+
+        // Exoplanets are drawn last so they stay visible on top of dense false positives
+        const circles = points
+            .sort((a, b) => a.prediction.isExoplanet - b.prediction.isExoplanet)
+            .map(p => `<circle class="point ${p.prediction.isExoplanet ? 'exoplanet' : 'not-exoplanet'}${p.prediction === this.selected ? ' selected' : ''}" data-i="${p.i}" cx="${sx(p.x).toFixed(1)}" cy="${sy(p.y).toFixed(1)}" r="3"/>`)
+            .join('');
+
+        return `
+            <svg class="scatter-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${options.yLabel} vs. ${options.xLabel}">
+                ${band}
+                ${xTicks}
+                ${yTicks}
+                ${circles}
+                <text x="${(pad.left + width - pad.right) / 2}" y="${height - 4}" text-anchor="middle" class="axis-label">${options.xLabel}</text>
+                <text x="10" y="${(pad.top + height - pad.bottom) / 2}" text-anchor="middle" class="axis-label" transform="rotate(-90 10 ${(pad.top + height - pad.bottom) / 2})">${options.yLabel}</text>
+            </svg>
+        `;
+    }
+
+    renderHistogram() {
+        const width = 340;
+        const height = 260;
+        const pad = { left: 45, right: 10, top: 10, bottom: 35 };
+
+        const counts = Array.from({ length: this.bins }, () => ({ exoplanet: 0, notExoplanet: 0 }));
+        this.predictions.forEach(prediction => {
+            const probability = prediction.exoplanetProbability;
+            if (!Number.isFinite(probability)) return;
+            const bin = Math.min(this.bins - 1, Math.floor(probability * this.bins));
+            if (prediction.isExoplanet) counts[bin].exoplanet++;
+            else counts[bin].notExoplanet++;
+        });
+
+        const maxCount = Math.max(1, ...counts.map(c => c.exoplanet + c.notExoplanet));
+        const sx = this.scale([0, 1], [pad.left, width - pad.right], false);
+        const sy = this.scale([0, maxCount], [height - pad.bottom, pad.top], false);
+        const barWidth = sx(1 / this.bins) - sx(0) - 1;
+
+        // Stacked bars: exoplanets at the bottom, false positives on top
+        const bars = counts.map((c, i) => {
+            const x = sx(i / this.bins) + 0.5;
+            const range = `${(i / this.bins).toFixed(2)}–${((i + 1) / this.bins).toFixed(2)}`;
+            const title = `Probability ${range}: ${c.exoplanet} exoplanets, ${c.notExoplanet} not exoplanets`;
+            return `
+                <g class="bar" data-title="${title}">
+                    <rect class="exoplanet" x="${x}" y="${sy(c.exoplanet)}" width="${barWidth}" height="${sy(0) - sy(c.exoplanet)}"/>
+                    <rect class="not-exoplanet" x="${x}" y="${sy(c.exoplanet + c.notExoplanet)}" width="${barWidth}" height="${sy(c.exoplanet) - sy(c.exoplanet + c.notExoplanet)}"/>
+                </g>
+            `;
+        }).join('');
+
+        const xTicks = [0, 0.25, 0.5, 0.75, 1].map(t => `
+            <text x="${sx(t)}" y="${height - pad.bottom + 14}" text-anchor="middle">${t}</text>
+        `).join('');
+        const yTicks = this.ticks([0, maxCount], false).map(t => `
+            <line x1="${pad.left}" y1="${sy(t)}" x2="${width - pad.right}" y2="${sy(t)}" class="grid"/>
+            <text x="${pad.left - 6}" y="${sy(t) + 3}" text-anchor="end">${Math.round(t)}</text>
+        `).join('');
+
+        return `
+            <svg class="scatter-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Histogram of exoplanet probability">
+                ${yTicks}
+                ${xTicks}
+                ${bars}
+                <text x="${(pad.left + width - pad.right) / 2}" y="${height - 4}" text-anchor="middle" class="axis-label">Exoplanet probability</text>
+                <text x="10" y="${(pad.top + height - pad.bottom) / 2}" text-anchor="middle" class="axis-label" transform="rotate(-90 10 ${(pad.top + height - pad.bottom) / 2})">Rows</text>
+            </svg>
+        `;
+    }
+
+    showTooltip(event) {
+        const point = event.target.closest('[data-i], [data-title]');
+        if (!point) {
+            this.tooltip.style.display = 'none';
+            return;
+        }
+
+        if (point.dataset.title) {
+            this.tooltip.textContent = point.dataset.title;
+        } else {
+            const prediction = this.plotted[parseInt(point.dataset.i)];
+            const data = prediction.data;
+            const value = (key) => Number.isFinite(Number(data[key])) ? parseFloat(Number(data[key]).toPrecision(4)) : '—';
+            const title = this.getTitle(prediction).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            this.tooltip.innerHTML = `
+                <strong>${title}${prediction.line ? ` (line ${prediction.line})` : ''}</strong><br>
+                ${prediction.isExoplanet ? '🌍 Exoplanet' : '⭐ Not exoplanet'} · ${(prediction.exoplanetProbability * 100).toFixed(1)}%<br>
+                Period ${value('koi_period')} d · Radius ${value('koi_prad')} R⊕<br>
+                Teq ${value('koi_teq')} K · Insolation ${value('koi_insol')} S⊕
+            `;
+        }
+
+        const bounds = this.container.getBoundingClientRect();
+        this.tooltip.style.display = 'block';
+        this.tooltip.style.left = `${event.clientX - bounds.left + 12}px`;
+        this.tooltip.style.top = `${event.clientY - bounds.top + 12}px`;
+    }
+}
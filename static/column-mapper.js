@@ -0,0 +1,274 @@
+class ColumnMapper {
+    constructor(schema, storage = window.localStorage) {
+        this.schema = schema;
+        this.storage = storage;
+    }
+
+    static get PRESETS_KEY() {
+        return 'exoplanet-column-presets';
+    }
+
+    // "Period (days)" and "pl_orbper" compare as "period" and "plorbper"
+    normalize(name) {
+        return String(name).replace(/\(.*?\)|\[.*?\]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    headerTokens(name) {
+        return String(name).toLowerCase().split(/[^a-z0-9%]+/).filter(Boolean);
+    }
+
+    similarity(a, b) {
+        if (!a.length || !b.length) return 0;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    }
+
+    scoreHeader(feature, header) {
+        const normalized = this.normalize(header);
+        if (normalized === this.normalize(feature.name)) {
+            return { score: 1, reason: header === feature.name ? 'exact match' : 'same name' };
+        }
+        const aliases = feature.aliases || [];
+        const alias = aliases.find(name => this.normalize(name) === normalized);
+        if (alias) {
+            return { score: 0.95, reason: `known alias (${alias})` };
+        }
+        const approximation = this.approximationFor(feature, header);
+        if (approximation) {
+            return { score: 0.9, reason: 'approximation, needs your confirmation' };
+        }
+        const best = Math.max(...[feature.name, ...aliases].map(name => this.similarity(normalized, this.normalize(name))));
+        return { score: best, reason: `similar name (${Math.round(best * 100)}%)` };
+    }
+
+    // The note for a column that only approximates the feature (e.g. a TESS magnitude for
+    // the Kepler one), or null
+    approximationFor(feature, header) {
+        if (!header) return null;
+        const normalized = this.normalize(header);
+        const match = (feature.approximations || [])
+            .find(entry => entry.aliases.some(name => this.normalize(name) === normalized));
+        return match ? match.note : null;
+    }
+
+    // Approximate sources the user hasn't accepted yet; the mapping can't be used until this is empty
+    unconfirmed(mapping) {
+        return this.schema.features.filter(feature => {
+            const entry = mapping.features[feature.name];
+            return entry.approximate && !entry.confirmed;
+        });
+    }
+
+    // Greedy best-first assignment so each source column feeds at most one feature
+    suggest(headers, rows) {
+        const candidates = [];
+        this.schema.features.forEach(feature => {
+            headers.forEach(header => {
+                const match = this.scoreHeader(feature, header);
+                if (match.score >= 0.8) {
+                    candidates.push({ feature: feature, header: header, ...match });
+                }
+            });
+        });
+        candidates.sort((a, b) => b.score - a.score);
+
+        const features = {};
+        const used = new Set();
+        candidates.forEach(candidate => {
+            if (features[candidate.feature.name] || used.has(candidate.header)) return;
+            used.add(candidate.header);
+            const unit = this.suggestUnit(candidate.feature, candidate.header, rows);
+            features[candidate.feature.name] = {
+                source: candidate.header,
+                unit: unit.id,
+                reason: candidate.reason + (unit.reason ? `; ${unit.reason}` : ''),
+                approximate: this.approximationFor(candidate.feature, candidate.header)
+            };
+        });
+
+        this.schema.features.forEach(feature => {
+            if (!features[feature.name]) {
+                features[feature.name] = { source: null, unit: null, reason: 'no matching column' };
+            }
+        });
+
+        const labelColumns = this.schema.label.columns.map(name => this.normalize(name));
+        const label = headers.find(header => !used.has(header) && labelColumns.includes(this.normalize(header))) || null;
+
+        // Known identifier columns are kept by default; other leftovers only if the user picks them
+        const identifiers = (this.schema.identifiers || []).map(name => this.normalize(name));
+        const extras = headers.filter(header => !used.has(header) && header !== label && identifiers.includes(this.normalize(header)));
+
+        return { features: features, label: label, extras: extras };
+    }
+
+    // Header text wins ("Depth (%)"); otherwise fall back to the magnitude of the values
+    suggestUnit(feature, header, rows) {
+        const units = feature.units || [];
+        if (units.length === 0) return { id: null, reason: '' };
+
+        const tokens = this.headerTokens(header);
+        const hinted = units.find(unit => (unit.hints || []).some(hint => tokens.includes(hint)));
+        if (hinted) {
+            return { id: hinted.id, reason: hinted === units[0] ? '' : `header suggests ${hinted.label}` };
+        }
+
+        // A column carrying the feature's own name is taken to be in the feature's own unit
+        if (this.normalize(header) === this.normalize(feature.name)) {
+            return { id: units[0].id, reason: '' };
+        }
+
+        const values = rows.slice(0, 200)
+            .map(row => Number(row[header]))
+            .filter(value => Number.isFinite(value) && value > 0)
+            .sort((a, b) => a - b);
+        if (values.length > 0) {
+            const median = values[Math.floor(values.length / 2)];
+            const fits = (unit) => unit.typical && median >= unit.typical[0] && median <= unit.typical[1];
+            if (!fits(units[0])) {
+                const guess = units.find(fits);
+                if (guess) {
+                    return { id: guess.id, reason: `values look like ${guess.label}` };
+                }
+            }
+        }
+        return { id: units[0].id, reason: '' };
+    }
+
+    // File columns that feed neither a feature nor the ground truth; candidates for extras
+    leftover(headers, mapping) {
+        const used = new Set(Object.values(mapping.features).map(entry => entry.source).concat(mapping.label));
+        return headers.filter(header => !used.has(header));
+    }
+
+    // True when every feature is already present under its own name and unit
+    isIdentity(mapping) {
+        return this.schema.features.every(feature => {
+            const entry = mapping.features[feature.name];
+            const units = feature.units || [];
+            return entry.source === feature.name && (units.length === 0 || entry.unit === units[0].id);
+        });
+    }
+
+    findUnit(feature, unitId) {
+        return (feature.units || []).find(unit => unit.id === unitId) || null;
+    }
+
+    convert(raw, unit) {
+        if (!unit || (unit.factor === 1 && !unit.offset)) return raw;
+        if (raw === undefined || raw === null || String(raw).trim() === '') return raw;
+        const value = Number(String(raw).trim());
+        // Leave bad values alone so the data-quality step reports them as typed
+        if (!Number.isFinite(value)) return raw;
+        return value * unit.factor + (unit.offset || 0);
+    }
+
+    // Features read from a column in another unit, e.g. { koi_depth: 'pl_trandep in %' }
+    conversions(mapping) {
+        const converted = {};
+        this.schema.features.forEach(feature => {
+            const entry = mapping.features[feature.name];
+            const unit = entry && entry.source ? this.findUnit(feature, entry.unit) : null;
+            if (unit && (unit.factor !== 1 || unit.offset)) {
+                converted[feature.name] = `${entry.source} in ${unit.label}`;
+            }
+        });
+        return converted;
+    }
+
+    labelKey(source) {
+        return this.schema.label.columns.includes(source) ? source : this.schema.label.columns[0];
+    }
+
+    // Builds a row keyed by model feature; unmapped features arrive empty
+    // (pass-through columns are read separately with extras() so they never reach the model)
+    apply(row, mapping) {
+        const mapped = {};
+        this.schema.features.forEach(feature => {
+            const entry = mapping.features[feature.name];
+            mapped[feature.name] = entry && entry.source
+                ? this.convert(row[entry.source], this.findUnit(feature, entry.unit))
+                : '';
+        });
+        if (mapping.label) {
+            mapped[this.labelKey(mapping.label)] = row[mapping.label];
+        }
+        return mapped;
+    }
+
+    extras(row, mapping) {
+        const kept = {};
+        (mapping.extras || []).forEach(header => {
+            if (header in row) {
+                kept[header] = row[header];
+            }
+        });
+        return kept;
+    }
+
+    loadPresets() {
+        try {
+            return JSON.parse(this.storage.getItem(ColumnMapper.PRESETS_KEY)) || {};
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable column presets:', error);
+            return {};
+        }
+    }
+
+    savePreset(name, mapping) {
+        const presets = this.loadPresets();
+        const features = {};
+        Object.keys(mapping.features).forEach(key => {
+            const entry = mapping.features[key];
+            features[key] = { source: entry.source, unit: entry.unit };
+            if (entry.approximate && entry.confirmed) features[key].confirmed = true;
+        });
+        presets[name] = { features: features, label: mapping.label, extras: mapping.extras || [], savedAt: new Date().toISOString() };
+        this.storage.setItem(ColumnMapper.PRESETS_KEY, JSON.stringify(presets));
+    }
+
+    deletePreset(name) {
+        const presets = this.loadPresets();
+        delete presets[name];
+        this.storage.setItem(ColumnMapper.PRESETS_KEY, JSON.stringify(presets));
+    }
+
+    // A preset applies when every column it reads exists in the file
+    presetFits(preset, headers) {
+        const sources = Object.values(preset.features).map(entry => entry.source).filter(Boolean);
+        if (preset.label) sources.push(preset.label);
+        return sources.length > 0 && sources.every(source => headers.includes(source));
+    }
+
+    fromPreset(preset) {
+        const features = {};
+        this.schema.features.forEach(feature => {
+            const entry = preset.features[feature.name] || { source: null, unit: null };
+            const approximate = this.approximationFor(feature, entry.source);
+            features[feature.name] = {
+                source: entry.source,
+                unit: entry.unit,
+                reason: 'from preset',
+                approximate: approximate,
+                confirmed: Boolean(approximate && entry.confirmed)
+            };
+        });
+        return { features: features, label: preset.label || null, extras: preset.extras || [] };
+    }
+
+    findPreset(headers) {
+        const presets = this.loadPresets();
+        const names = Object.keys(presets)
+            .filter(name => this.presetFits(presets[name], headers))
+            .sort((a, b) => String(presets[b].savedAt).localeCompare(String(presets[a].savedAt)));
+        return names.length > 0 ? names[0] : null;
+    }
+}
@@ -0,0 +1,271 @@
+class CSVParser {
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || null; // null = auto-detect
+        this.candidateDelimiters = options.candidateDelimiters || [',', '\t', ';'];
+        this.commentChar = options.commentChar === undefined ? '#' : options.commentChar;
+        this.chunkSize = options.chunkSize || 1024 * 1024; // 1 MB per read
+        this.reset();
+    }
+
+    reset() {
+        this.headers = null;
+        this.records = [];
+        this.skipped = [];
+        this.commentLines = 0;
+        this.blankLines = 0;
+
+        // Tokenizer state (kept across chunks so fields can span chunk boundaries)
+        this.state = 'RECORD_START';
+        this.field = '';
+        this.fields = [];
+        this.line = 1;
+        this.recordLine = 1;
+        this.pendingCR = false;
+        this.quotedCR = false;
+        this.started = false;
+    }
+
+    // Parse a File/Blob by reading it in slices instead of loading it all at once
+    async parseFile(file, onProgress) {
+        this.reset();
+        const decoder = new TextDecoder('utf-8');
+        let offset = 0;
+
+        while (offset < file.size) {
+            const slice = file.slice(offset, offset + this.chunkSize);
+            const buffer = await this.readChunk(slice);
+            offset += slice.size;
+
+            const text = decoder.decode(buffer, { stream: offset < file.size });
+            this.feed(text);
+
+            if (onProgress) {
+                onProgress(offset, file.size);
+            }
+        }
+
+        return this.finish();
+    }
+
+    // Parse an in-memory string (same rules as parseFile)
+    parse(text) {
+        this.reset();
+        this.feed(text);
+        return this.finish();
+    }
+
+    readChunk(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsArrayBuffer(blob);
+        });
+    }
+
+    feed(text) {
+        if (!this.started) {
+            this.started = true;
+            // Strip UTF-8 byte order mark
+            if (text.charCodeAt(0) === 0xFEFF) {
+                text = text.slice(1);
+            }
+        }
+
+        if (!this.delimiter) {
+            this.delimiter = this.detectDelimiter(text);
+        }
+
+        const delimiter = this.delimiter;
+        const commentChar = this.commentChar;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            // A CR already ended the previous line; swallow the LF of a CRLF pair
+            if (this.pendingCR) {
+                this.pendingCR = false;
+                if (char === '\n') continue;
+            }
+
+            switch (this.state) {
+                case 'RECORD_START':
+                    this.recordLine = this.line;
+                    if (char === '\r' || char === '\n') {
+                        this.blankLines++;
+                        this.newLine(char);
+                    } else if (commentChar && char === commentChar) {
+                        this.state = 'COMMENT';
+                    } else {
+                        this.state = 'FIELD_START';
+                        i--; // Re-read this character as the start of a field
+                    }
+                    break;
+
+                case 'COMMENT':
+                    if (char === '\r' || char === '\n') {
+                        this.commentLines++;
+                        this.newLine(char);
+                    }
+                    break;
+
+                case 'FIELD_START':
+                    if (char === '"') {
+                        this.state = 'QUOTED';
+                    } else if (char === delimiter) {
+                        this.endField();
+                    } else if (char === '\r' || char === '\n') {
+                        this.endField();
+                        this.endRecord();
+                        this.newLine(char);
+                    } else {
+                        this.field += char;
+                        this.state = 'UNQUOTED';
+                    }
+                    break;
+
+                case 'UNQUOTED':
+                    if (char === delimiter) {
+                        this.endField();
+                    } else if (char === '\r' || char === '\n') {
+                        this.endField();
+                        this.endRecord();
+                        this.newLine(char);
+                    } else {
+                        this.field += char;
+                    }
+                    break;
+
+                case 'QUOTED':
+                    if (char === '"') {
+                        this.state = 'QUOTE_IN_QUOTED';
+                    } else {
+                        // Track physical lines inside multi-line fields (CRLF counts once)
+                        if (char === '\r' || (char === '\n' && !this.quotedCR)) {
+                            this.line++;
+                        }
+                        this.quotedCR = char === '\r';
+                        this.field += char;
+                    }
+                    break;
+
+                case 'QUOTE_IN_QUOTED':
+                    if (char === '"') {
+                        // Escaped quote ("")
+                        this.field += '"';
+                        this.state = 'QUOTED';
+                    } else if (char === delimiter) {
+                        this.endField();
+                    } else if (char === '\r' || char === '\n') {
+                        this.endField();
+                        this.endRecord();
+                        this.newLine(char);
+                    } else {
+                        // Be lenient with text after a closing quote, e.g. "abc"def
+                        this.field += char;
+                        this.state = 'UNQUOTED';
+                    }
+                    break;
+            }
+        }
+    }
+
+    newLine(char) {
+        this.line++;
+        if (char === '\r') {
+            this.pendingCR = true;
+        }
+        this.state = 'RECORD_START';
+    }
+
+    endField() {
+        this.fields.push(this.field);
+        this.field = '';
+        this.state = 'FIELD_START';
+    }
+
+    endRecord() {
+        const fields = this.fields;
+        const line = this.recordLine;
+        this.fields = [];
+
+        // A line containing only delimiters/whitespace carries no data
+        if (fields.every(f => f.trim() === '')) {
+            this.blankLines++;
+            return;
+        }
+
+        if (!this.headers) {
+            this.headers = fields.map(h => h.trim());
+            return;
+        }
+
+        if (fields.length !== this.headers.length) {
+            this.skipped.push({
+                line: line,
+                reason: `Expected ${this.headers.length} fields but found ${fields.length}`
+            });
+            return;
+        }
+
+        this.records.push({ line: line, values: fields.map(v => v.trim()) });
+    }
+
+    finish() {
+        if (this.state === 'QUOTED') {
+            this.skipped.push({
+                line: this.recordLine,
+                reason: 'Unterminated quoted field'
+            });
+            this.fields = [];
+            this.field = '';
+        } else if (this.state === 'UNQUOTED' || this.state === 'QUOTE_IN_QUOTED' ||
+                   (this.state === 'FIELD_START' && this.fields.length > 0)) {
+            // Last record without a trailing newline
+            this.endField();
+            this.endRecord();
+        } else if (this.state === 'COMMENT') {
+            this.commentLines++;
+        }
+        this.state = 'RECORD_START';
+
+        return {
+            headers: this.headers || [],
+            records: this.records,
+            skipped: this.skipped,
+            delimiter: this.delimiter,
+            commentLines: this.commentLines,
+            blankLines: this.blankLines
+        };
+    }
+
+    detectDelimiter(sample) {
+        // Use the first line that is neither blank nor a comment (normally the header)
+        const lines = sample.split(/\r\n|\r|\n/);
+        const headerLine = lines.find(l => l.trim() !== '' && !(this.commentChar && l.startsWith(this.commentChar))) || '';
+
+        let best = this.candidateDelimiters[0];
+        let bestCount = 0;
+        this.candidateDelimiters.forEach(candidate => {
+            const count = this.countOutsideQuotes(headerLine, candidate);
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    countOutsideQuotes(text, char) {
+        let count = 0;
+        let inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '"') {
+                inQuotes = !inQuotes;
+            } else if (text[i] === char && !inQuotes) {
+                count++;
+            }
+        }
+        return count;
+    }
+}
@@ -0,0 +1,187 @@
+class DataValidator {
+    constructor(rules) {
+        this.rules = rules;
+    }
+
+    // Validity limits come from the server schema so a new model needs no JS changes
+    static rulesFromSchema(schema) {
+        const rules = {};
+        schema.features.forEach(feature => {
+            const rule = {};
+            if (feature.allowed) {
+                rule.allowed = feature.allowed;
+            }
+            if (feature.min !== undefined && feature.min !== null) {
+                rule.min = feature.min;
+                rule.exclusiveMin = Boolean(feature.exclusive_min);
+            }
+            if (feature.max !== undefined && feature.max !== null) {
+                rule.max = feature.max;
+            }
+            rules[feature.name] = rule;
+        });
+        return rules;
+    }
+
+    static get POLICIES() {
+        return {
+            reject: 'Reject row',
+            median: 'Impute file median',
+            nan: 'Leave NaN for pipeline'
+        };
+    }
+
+    parseCell(raw) {
+        if (raw === undefined || raw === null || String(raw).trim() === '') {
+            return { value: NaN, issue: 'empty' };
+        }
+        // Number() rather than parseFloat() so "12abc" is not silently read as 12
+        const value = Number(String(raw).trim());
+        if (!Number.isFinite(value)) {
+            return { value: NaN, issue: 'non_numeric' };
+        }
+        return { value: value, issue: null };
+    }
+
+    checkRange(column, value) {
+        const rule = this.rules[column];
+        if (!rule) return true;
+        if (rule.allowed && !rule.allowed.includes(value)) return false;
+        if (rule.min !== undefined && (rule.exclusiveMin ? value <= rule.min : value < rule.min)) return false;
+        if (rule.max !== undefined && value > rule.max) return false;
+        return true;
+    }
+
+    describeRule(column) {
+        const rule = this.rules[column];
+        if (!rule) return '';
+        if (rule.allowed) return `one of {${rule.allowed.join(', ')}}`;
+        const lower = rule.min !== undefined ? `${rule.exclusiveMin ? '>' : '≥'} ${rule.min}` : '';
+        const upper = rule.max !== undefined ? `≤ ${rule.max}` : '';
+        return [lower, upper].filter(Boolean).join(' and ');
+    }
+
+    // Parse and check every feature cell; returns a report used by apply()
+    analyze(rows, lines, columns) {
+        const cells = rows.map(() => ({}));
+        const summary = {};
+
+        columns.forEach(column => {
+            const stats = { empty: 0, nonNumeric: 0, outOfRange: 0, valid: 0, issues: [], median: null };
+            const validValues = [];
+
+            rows.forEach((row, i) => {
+                const cell = this.parseCell(row[column]);
+                if (!cell.issue && !this.checkRange(column, cell.value)) {
+                    cell.issue = 'out_of_range';
+                }
+
+                if (cell.issue) {
+                    if (cell.issue === 'empty') stats.empty++;
+                    if (cell.issue === 'non_numeric') stats.nonNumeric++;
+                    if (cell.issue === 'out_of_range') stats.outOfRange++;
+                    stats.issues.push({ line: lines[i], value: row[column], issue: cell.issue });
+                } else {
+                    stats.valid++;
+                    validValues.push(cell.value);
+                }
+                cells[i][column] = cell;
+            });
+
+            stats.median = this.median(validValues);
+            summary[column] = stats;
+        });
+
+        const invalidCells = Object.values(summary).reduce((sum, s) => sum + s.issues.length, 0);
+
+        return {
+            columns: summary,
+            cells: cells,
+            rows: rows,
+            lines: lines,
+            totalRows: rows.length,
+            invalidCells: invalidCells,
+            hasIssues: invalidCells > 0
+        };
+    }
+
+    // Build the numeric rows sent to the model according to the per-column policies.
+    // adjusted[i] records which cells of rows[i] differ from the file and why.
+    apply(report, policies) {
+        const cleanRows = [];
+        const cleanLines = [];
+        const cleanAdjusted = [];
+        const rejected = [];
+        let imputed = 0;
+        let leftNaN = 0;
+
+        report.rows.forEach((row, i) => {
+            const cleanRow = {};
+            const adjusted = {};
+            let rejectReason = null;
+            let rowImputed = 0;
+            let rowNaN = 0;
+
+            Object.keys(row).forEach(column => {
+                const cell = report.cells[i][column];
+                if (!cell) {
+                    // Not a feature column (e.g. ground truth), pass through untouched
+                    cleanRow[column] = row[column];
+                    return;
+                }
+
+                if (!cell.issue) {
+                    cleanRow[column] = cell.value;
+                    return;
+                }
+
+                const policy = policies[column] || 'median';
+                const median = report.columns[column].median;
+                if (policy === 'reject' || (policy === 'median' && median === null)) {
+                    rejectReason = rejectReason || `${column}: ${this.describeIssue(column, cell.issue, row[column])}`;
+                } else if (policy === 'median') {
+                    cleanRow[column] = median;
+                    adjusted[column] = { issue: cell.issue, raw: row[column], value: median };
+                    rowImputed++;
+                } else {
+                    cleanRow[column] = NaN;
+                    adjusted[column] = { issue: cell.issue, raw: row[column], value: NaN };
+                    rowNaN++;
+                }
+            });
+
+            if (rejectReason) {
+                rejected.push({ line: report.lines[i], reason: rejectReason });
+            } else {
+                cleanRows.push(cleanRow);
+                cleanLines.push(report.lines[i]);
+                cleanAdjusted.push(adjusted);
+                imputed += rowImputed;
+                leftNaN += rowNaN;
+            }
+        });
+
+        return { rows: cleanRows, lines: cleanLines, adjusted: cleanAdjusted, rejected: rejected, imputed: imputed, leftNaN: leftNaN };
+    }
+
+    // "koi_teq: empty value, imputed file median 512.3" for the export's adjustedCells column
+    describeAdjustment(column, adjustment) {
+        const action = Number.isFinite(adjustment.value)
+            ? `imputed file median ${Number(adjustment.value.toPrecision(6))}`
+            : 'sent as NaN';
+        return `${column}: ${this.describeIssue(column, adjustment.issue, adjustment.raw)}, ${action}`;
+    }
+
+    describeIssue(column, issue, raw) {
+        if (issue === 'empty') return 'empty value';
+        if (issue === 'non_numeric') return `non-numeric value "${raw}"`;
+        return `${raw} is out of range (expected ${this.describeRule(column)})`;
+    }
+
+    median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
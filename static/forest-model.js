@@ -0,0 +1,108 @@
+class ForestModel {
+    // Data written by model_export.py (or GET /models/<id>/export)
+    constructor(exported) {
+        if (!exported || exported.format !== 'exoplanet-forest') {
+            throw new Error('Not an exported exoplanet model file');
+        }
+        if (exported.version !== 1) {
+            throw new Error(`Unsupported model file version ${exported.version}`);
+        }
+        this.id = exported.model.id;
+        this.name = exported.model.name || exported.model.id;
+        this.metadata = exported.model;
+        this.features = exported.features;
+        this.mean = exported.scaler.mean;
+        this.scale = exported.scaler.scale;
+        this.trees = exported.trees;
+        this.featureImportances = exported.feature_importances;
+        this.schema = exported.schema || null;
+    }
+
+    static async load(url, headers = {}) {
+        const response = await fetch(url, { headers: headers });
+        const exported = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(exported.error || `Could not download the model (HTTP ${response.status})`);
+        }
+        return new ForestModel(exported);
+    }
+
+    // Mirrors the pipeline: StandardScaler in float64, then the float32 cast sklearn's trees apply to X
+    transform(row) {
+        return this.features.map((feature, i) => {
+            const raw = row[feature];
+            const value = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+            return Math.fround((value - this.mean[i]) / this.scale[i]);
+        });
+    }
+
+    leaf(tree, x) {
+        let node = 0;
+        while (tree.left[node] !== -1) {
+            const value = x[tree.feature[node]];
+            const goLeft = Number.isNaN(value) ? tree.missing_left[node] === 1 : value <= tree.threshold[node];
+            node = goLeft ? tree.left[node] : tree.right[node];
+        }
+        return node;
+    }
+
+    exoplanetProbability(row) {
+        const x = this.transform(row);
+        let total = 0;
+        this.trees.forEach(tree => {
+            total += tree.value[this.leaf(tree, x)];
+        });
+        return total / this.trees.length;
+    }
+
+    // Same shape as the rows returned by /predict
+    predict(rows) {
+        return rows.map((row, i) => {
+            const probability = this.exoplanetProbability(row);
+            const isExoplanet = probability > 0.5;
+            return {
+                index: i + 1,
+                prediction: isExoplanet ? 1 : 0,
+                is_exoplanet: isExoplanet,
+                confidence: Math.max(probability, 1 - probability),
+                exoplanet_probability: probability,
+                false_positive_probability: 1 - probability
+            };
+        });
+    }
+
+    // Tree-path contributions, the same decomposition as /explain
+    explain(row) {
+        const x = this.transform(row);
+        const contributions = this.features.map(() => 0);
+        let bias = 0;
+        let total = 0;
+
+        this.trees.forEach(tree => {
+            let node = 0;
+            bias += tree.value[0];
+            while (tree.left[node] !== -1) {
+                const value = x[tree.feature[node]];
+                const goLeft = Number.isNaN(value) ? tree.missing_left[node] === 1 : value <= tree.threshold[node];
+                const child = goLeft ? tree.left[node] : tree.right[node];
+                contributions[tree.feature[node]] += tree.value[child] - tree.value[node];
+                node = child;
+            }
+            total += tree.value[node];
+        });
+
+        const n = this.trees.length;
+        const byFeature = {};
+        const importances = {};
+        this.features.forEach((feature, i) => {
+            byFeature[feature] = contributions[i] / n;
+            importances[feature] = this.featureImportances[i];
+        });
+        return {
+            bias: bias / n,
+            exoplanetProbability: total / n,
+            contributions: byFeature,
+            featureImportances: importances
+        };
+    }
+}
@@ -0,0 +1,124 @@
+class JobClient {
+    constructor(options = {}) {
+        this.uploadUrl = options.uploadUrl || '/upload';
+        this.pollInterval = options.pollInterval || 1000;
+        this.onProgress = options.onProgress || (() => {});
+        // Called per request so a key changed mid-job is picked up
+        this.headers = options.headers || (() => ({}));
+        this.job = null;
+        this.upload = null;
+        this.cancelled = false;
+    }
+
+    // Upload a CSV as a background job and resolve with its JSON result once it completes
+    async run(file, fileName, model) {
+        this.cancelled = false;
+        const form = new FormData();
+        form.append('file', file, fileName);
+        form.append('model', model);
+        form.append('async', '1');
+
+        // Large files take a while to upload, so cancelling aborts the request itself
+        this.upload = new AbortController();
+        let response;
+        let submitted;
+        try {
+            response = await fetch(this.uploadUrl, { method: 'POST', body: form, headers: this.headers(), signal: this.upload.signal });
+            submitted = await response.json().catch(() => ({}));
+        } finally {
+            this.upload = null;
+        }
+        if (this.cancelled) {
+            // Cancelled after the server had already queued it: stop the job that nobody is waiting for,
+            // unless it finished in the meantime, in which case its result is used after all
+            const job = submitted.job ? await this.deleteJob(submitted.job) : null;
+            if (!job || job.status !== 'completed') {
+                throw new DOMException('Prediction cancelled', 'AbortError');
+            }
+            submitted.job = job;
+            this.reportTooLate(job);
+        }
+        if (!response.ok) {
+            const error = new Error(submitted.error || `Upload failed (HTTP ${response.status})`);
+            error.status = response.status;
+            error.errors = submitted.errors || [];
+            error.errorCount = submitted.error_count || error.errors.length;
+            throw error;
+        }
+
+        this.job = submitted.job;
+        const startTime = performance.now();
+        try {
+            while (!['completed', 'failed', 'cancelled'].includes(this.job.status)) {
+                await this.sleep(this.pollInterval);
+                this.job = (await this.fetchJSON(this.job.status_url)).job;
+                const elapsed = (performance.now() - startTime) / 1000;
+                this.onProgress({
+                    completedRows: this.job.progress.processed,
+                    totalRows: this.job.progress.total,
+                    rowsPerSecond: elapsed > 0 ? this.job.progress.processed / elapsed : 0,
+                    status: `Server job ${this.job.status}...`
+                });
+            }
+
+            if (this.job.status === 'cancelled') {
+                throw new DOMException('Prediction cancelled', 'AbortError');
+            }
+            if (this.job.status === 'failed') {
+                throw new Error(this.job.error || 'Server job failed');
+            }
+            return await this.fetchJSON(this.job.result_url);
+        } finally {
+            this.job = null;
+        }
+    }
+
+    async fetchJSON(url) {
+        const response = await fetch(url, { headers: this.headers() });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `Job request failed (HTTP ${response.status})`);
+        }
+        return result;
+    }
+
+    // Aborts the upload, or asks the server to stop the job; run() then rejects with an AbortError,
+    // except when the job had already completed, which run() finishes as usual
+    async cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+        if (this.upload) {
+            this.upload.abort();
+        } else if (this.job) {
+            const job = await this.deleteJob(this.job);
+            if (job && job.status === 'completed') {
+                this.reportTooLate(job);
+            }
+        }
+    }
+
+    // Resolves with the job as the server has it after the request, or null if that's unknown
+    async deleteJob(job) {
+        try {
+            const response = await fetch(job.status_url, { method: 'DELETE', headers: this.headers() });
+            const result = await response.json().catch(() => ({}));
+            return response.ok ? result.job : null;
+        } catch (error) {
+            console.warn('⚠️ Could not cancel server job:', error);
+            return null;
+        }
+    }
+
+    reportTooLate(job) {
+        this.onProgress({
+            completedRows: job.progress.processed,
+            totalRows: job.progress.total,
+            rowsPerSecond: 0,
+            status: 'The server job finished before it could be cancelled; loading its result...'
+        });
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
@@ -0,0 +1,41 @@
+// Helpers for the views that build their HTML and SVG as strings
+class Markup {
+    static escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Square plot of 0..1 against 0..1 with quarter gridlines and axis titles; draw(sx, sy) returns the contents
+    static unitPlot(options, draw) {
+        const size = 260;
+        const pad = 40;
+        const inner = size - pad * 1.5;
+        const sx = (x) => pad + x * inner;
+        const sy = (y) => pad / 2 + (1 - y) * inner;
+
+        const ticks = [0, 0.25, 0.5, 0.75, 1].map(t => `
+            <line x1="${sx(t)}" y1="${sy(0)}" x2="${sx(t)}" y2="${sy(1)}" class="grid"/>
+            <line x1="${sx(0)}" y1="${sy(t)}" x2="${sx(1)}" y2="${sy(t)}" class="grid"/>
+            <text x="${sx(t)}" y="${sy(0) + 14}" text-anchor="middle">${t}</text>
+            <text x="${sx(0) - 6}" y="${sy(t) + 4}" text-anchor="end">${t}</text>
+        `).join('');
+
+        const diagonal = options.diagonal
+            ? `<line x1="${sx(0)}" y1="${sy(0)}" x2="${sx(1)}" y2="${sy(1)}" class="chance"/>`
+            : '';
+
+        return `
+            <svg class="curve-chart" viewBox="0 0 ${size} ${size + 10}" role="img" aria-label="${Markup.escapeHTML(options.title)}">
+                ${ticks}
+                ${diagonal}
+                ${draw(sx, sy)}
+                <text x="${sx(0.5)}" y="${size + 6}" text-anchor="middle" class="axis-label">${Markup.escapeHTML(options.xLabel)}</text>
+                <text x="10" y="${sy(0.5)}" text-anchor="middle" class="axis-label" transform="rotate(-90 10 ${sy(0.5)})">${Markup.escapeHTML(options.yLabel)}</text>
+            </svg>
+        `;
+    }
+}
@@ -0,0 +1,170 @@
+class ModelEvaluation {
+    constructor(predictions, readLabel, options = {}) {
+        this.features = options.features || [];
+        this.bins = options.bins || 10;
+
+        // Rows without a usable verdict are counted, not silently dropped
+        this.labelCounts = { positive: 0, negative: 0, unlabeled: 0, unrecognized: 0, missing: 0 };
+        this.unrecognized = [];
+        this.samples = [];
+        predictions.forEach(prediction => {
+            const label = readLabel(prediction.data);
+            this.labelCounts[label.kind]++;
+            if (label.kind === 'unrecognized') {
+                this.unrecognized.push({ line: prediction.line || prediction.index, raw: label.raw });
+            }
+            if ((label.value === 0 || label.value === 1) && Number.isFinite(prediction.exoplanetProbability)) {
+                this.samples.push({ prediction: prediction, truth: label.value, probability: prediction.exoplanetProbability });
+            }
+        });
+    }
+
+    // Kepler-style size classes, spectral types by Teff and Kepler magnitude steps
+    static get SLICES() {
+        return [
+            { feature: 'koi_prad', title: 'Planet radius', edges: [1.25, 2, 4, 6, 15] },
+            { feature: 'koi_steff', title: 'Stellar temperature', edges: [3900, 5200, 6000, 7500] },
+            { feature: 'koi_kepmag', title: 'Kepler magnitude', edges: [12, 13, 14, 15, 16] }
+        ];
+    }
+
+    metrics(samples) {
+        let tp = 0, fp = 0, tn = 0, fn = 0, squaredError = 0;
+        samples.forEach(s => {
+            const predicted = s.prediction.isExoplanet;
+            if (predicted && s.truth === 1) tp++;
+            else if (predicted && s.truth === 0) fp++;
+            else if (!predicted && s.truth === 0) tn++;
+            else fn++;
+            squaredError += Math.pow(s.probability - s.truth, 2);
+        });
+
+        const count = samples.length;
+        const precision = tp / (tp + fp) || 0;
+        const recall = tp / (tp + fn) || 0;
+        return {
+            count: count,
+            positives: tp + fn,
+            accuracy: count ? (tp + tn) / count : 0,
+            precision: precision,
+            recall: recall,
+            f1Score: 2 * (precision * recall) / (precision + recall) || 0,
+            brierScore: count ? squaredError / count : NaN
+        };
+    }
+
+    // Equal-width probability bins; a calibrated model sits on the diagonal
+    calibration() {
+        const bins = Array.from({ length: this.bins }, (_, i) => ({
+            lower: i / this.bins,
+            upper: (i + 1) / this.bins,
+            count: 0,
+            predictedSum: 0,
+            positives: 0
+        }));
+        this.samples.forEach(s => {
+            const bin = bins[Math.min(this.bins - 1, Math.floor(s.probability * this.bins))];
+            bin.count++;
+            bin.predictedSum += s.probability;
+            bin.positives += s.truth;
+        });
+
+        const filled = bins.filter(bin => bin.count > 0).map(bin => ({
+            lower: bin.lower,
+            upper: bin.upper,
+            count: bin.count,
+            meanPredicted: bin.predictedSum / bin.count,
+            observed: bin.positives / bin.count
+        }));
+        const total = this.samples.length;
+        return {
+            bins: filled,
+            brierScore: this.metrics(this.samples).brierScore,
+            expectedCalibrationError: filled.reduce((sum, bin) => sum + (bin.count / total) * Math.abs(bin.observed - bin.meanPredicted), 0)
+        };
+    }
+
+    // Binned numeric features plus one group per 0/1 flag, limited to features the model has
+    slices() {
+        const byName = new Map(this.features.map(feature => [feature.name, feature]));
+        const groups = [];
+
+        ModelEvaluation.SLICES.filter(slice => byName.has(slice.feature)).forEach(slice => {
+            const unit = byName.get(slice.feature).unit;
+            const suffix = unit ? ` ${unit}` : '';
+            const edges = slice.edges;
+            const buckets = edges.map((edge, i) => ({
+                name: i === 0 ? `< ${edge}${suffix}` : `${edges[i - 1]}–${edge}${suffix}`,
+                test: (v) => v < edge && (i === 0 || v >= edges[i - 1])
+            }));
+            buckets.push({ name: `≥ ${edges[edges.length - 1]}${suffix}`, test: (v) => v >= edges[edges.length - 1] });
+            groups.push(this.sliceGroup(slice.title, slice.feature, buckets));
+        });
+
+        this.features.filter(feature => Array.isArray(feature.allowed)).forEach(feature => {
+            const buckets = feature.allowed.map(value => ({ name: `= ${value}`, test: (v) => v === value }));
+            groups.push(this.sliceGroup(feature.label || feature.name, feature.name, buckets));
+        });
+
+        return groups;
+    }
+
+    sliceGroup(title, feature, buckets) {
+        const members = buckets.map(() => []);
+        const missing = [];
+        this.samples.forEach(s => {
+            const value = Number(s.prediction.data[feature]);
+            const raw = s.prediction.data[feature];
+            if (raw === null || raw === undefined || raw === '' || !Number.isFinite(value)) {
+                missing.push(s);
+                return;
+            }
+            const index = buckets.findIndex(bucket => bucket.test(value));
+            if (index >= 0) members[index].push(s);
+        });
+
+        const rows = buckets.map((bucket, i) => ({ name: bucket.name, ...this.metrics(members[i]) }));
+        if (missing.length > 0) {
+            rows.push({ name: 'missing', ...this.metrics(missing) });
+        }
+        return { title: title, feature: feature, rows: rows };
+    }
+
+    // Wrong verdicts the model was most sure about
+    misclassifications(limit = 10) {
+        return this.samples
+            .filter(s => s.prediction.isExoplanet !== (s.truth === 1))
+            .sort((a, b) => Math.abs(b.probability - 0.5) - Math.abs(a.probability - 0.5))
+            .slice(0, limit);
+    }
+
+    renderReliability(calibration) {
+        const largest = Math.max(1, ...calibration.bins.map(bin => bin.count));
+        const options = {
+            title: 'Reliability diagram',
+            xLabel: 'Mean predicted probability',
+            yLabel: 'Observed exoplanet fraction',
+            diagonal: true
+        };
+
+        return Markup.unitPlot(options, (sx, sy) => {
+            // Bars show how many rows fall in each bin, scaled to a quarter of the plot height
+            const counts = calibration.bins.map(bin => `
+                <rect x="${sx(bin.lower) + 1}" y="${sy((bin.count / largest) * 0.25)}"
+                      width="${Math.max(1, sx(bin.upper) - sx(bin.lower) - 2)}" height="${sy(0) - sy((bin.count / largest) * 0.25)}"
+                      class="bin-count"><title>${bin.count} rows</title></rect>
+            `).join('');
+
+            const path = calibration.bins
+                .map((bin, i) => `${i === 0 ? 'M' : 'L'}${sx(bin.meanPredicted).toFixed(1)},${sy(bin.observed).toFixed(1)}`)
+                .join(' ');
+            const points = calibration.bins.map(bin => `
+                <circle cx="${sx(bin.meanPredicted)}" cy="${sy(bin.observed)}" r="3.5" class="calibration-point">
+                    <title>${bin.lower.toFixed(1)}–${bin.upper.toFixed(1)}: predicted ${(bin.meanPredicted * 100).toFixed(1)}%, observed ${(bin.observed * 100).toFixed(1)}% (${bin.count} rows)</title>
+                </circle>
+            `).join('');
+
+            return `${counts}<path d="${path}" class="curve"/>${points}`;
+        });
+    }
+}
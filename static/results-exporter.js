@@ -0,0 +1,228 @@
+class ResultsExporter {
+    constructor(predictions, options = {}) {
+        this.predictions = predictions;
+        this.fileName = options.fileName || 'predictions.csv';
+        this.metrics = options.metrics || null;
+    }
+
+    get baseName() {
+        return this.fileName.replace(/\.[^.]+$/, '') || 'predictions';
+    }
+
+    // Model outputs, always written after the file's own columns and in this order
+    static get OUTPUT_COLUMNS() {
+        return ['isExoplanet', 'confidence', 'exoplanetProbability', 'falsePositiveProbability', 'adjustedCells', 'triageTag', 'triageNote'];
+    }
+
+    // Original row values, or the model input for rows predicted before uploads kept the file's values (and form entries)
+    sourceOf(prediction) {
+        return prediction.source || { ...prediction.extra, ...prediction.data };
+    }
+
+    // Every file column in first-seen order, mapped to its export header, plus the outputs in use.
+    // File columns named like index, line or an output get a source_ prefix instead of being overwritten.
+    columns() {
+        const reserved = new Set(['index', 'line', ...ResultsExporter.OUTPUT_COLUMNS]);
+        const sources = new Map();
+        this.predictions.forEach(prediction => {
+            Object.keys(this.sourceOf(prediction)).forEach(column => {
+                if (sources.has(column)) return;
+                let header = column;
+                while (reserved.has(header)) {
+                    header = `source_${header}`;
+                }
+                reserved.add(header);
+                sources.set(column, header);
+            });
+        });
+
+        const adjusted = this.predictions.some(prediction => prediction.adjusted && prediction.adjusted.length);
+        const triaged = this.predictions.some(prediction => prediction.triage);
+        const outputs = ResultsExporter.OUTPUT_COLUMNS.filter(name => {
+            // Imputed, NaN and unit-converted cells, so exported values aren't mistaken for what the model saw
+            if (name === 'adjustedCells') return adjusted;
+            // Triage columns only appear once something has been tagged or annotated
+            if (name === 'triageTag' || name === 'triageNote') return triaged;
+            return true;
+        });
+        return {
+            sources: sources,
+            outputs: outputs,
+            // Kept as a list: object keys that look like numbers would otherwise sort ahead of the rest
+            headers: ['index', 'line', ...sources.values(), ...outputs]
+        };
+    }
+
+    // One flat object per row with the same keys in the same order: index, line, file columns, outputs
+    toRecords(columns = this.columns()) {
+        const { sources, outputs } = columns;
+        return this.predictions.map(prediction => {
+            const source = this.sourceOf(prediction);
+            const values = {
+                isExoplanet: prediction.isExoplanet,
+                confidence: prediction.confidence,
+                exoplanetProbability: prediction.exoplanetProbability,
+                falsePositiveProbability: prediction.falsePositiveProbability,
+                adjustedCells: (prediction.adjusted || []).join('; '),
+                triageTag: prediction.triage ? prediction.triage.tag : null,
+                triageNote: prediction.triage ? prediction.triage.note : null
+            };
+
+            const record = { index: prediction.index, line: prediction.line };
+            sources.forEach((header, column) => {
+                record[header] = source[column] !== undefined ? source[column] : null;
+            });
+            outputs.forEach(name => {
+                record[name] = values[name];
+            });
+            return record;
+        });
+    }
+
+    toCSV() {
+        const columns = this.columns();
+        const records = this.toRecords(columns);
+        if (records.length === 0) return '';
+
+        const headers = columns.headers;
+        const lines = [headers.map(h => this.escapeCSV(h)).join(',')];
+        records.forEach(record => {
+            lines.push(headers.map(h => this.escapeCSV(record[h])).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    toJSON() {
+        // JSON has no NaN; missing values are written as null
+        return JSON.stringify({
+            source: this.fileName,
+            exportedAt: new Date().toISOString(),
+            metrics: this.metrics,
+            predictions: this.toRecords()
+        }, null, 2);
+    }
+
+    toHTMLReport() {
+        const columns = this.columns();
+        const records = this.toRecords(columns);
+        const total = records.length;
+        const exoplanetCount = records.filter(r => r.isExoplanet).length;
+        const avgConfidence = total ? records.reduce((sum, r) => sum + r.confidence, 0) / total : 0;
+        const percent = (value) => `${(value * 100).toFixed(1)}%`;
+        const headers = total ? columns.headers : [];
+
+        const formatCell = (value) => {
+            if (typeof value === 'number') {
+                return Number.isFinite(value) ? String(Math.round(value * 10000) / 10000) : '—';
+            }
+            return value === null || value === undefined ? '—' : String(value);
+        };
+
+        const rows = records.map(record => `
+            <tr class="${record.isExoplanet ? 'exoplanet' : 'not-exoplanet'}">
+                ${headers.map(h => `<td>${Markup.escapeHTML(formatCell(record[h]))}</td>`).join('')}
+            </tr>`).join('');
+
+        let triageHTML = '';
+        if (records.some(r => r.triageTag || r.triageNote)) {
+            const count = (tag) => records.filter(r => r.triageTag === tag).length;
+            triageHTML = `
+                <h2>🏷️ Triage</h2>
+                <table class="metrics">
+                    ${Triage.TAGS.map(tag => `<tr><th>${tag.label}</th><td>${count(tag.id)}</td></tr>`).join('')}
+                    <tr><th>Untagged</th><td>${records.filter(r => !r.triageTag).length}</td></tr>
+                </table>`;
+        }
+
+        let metricsHTML = '';
+        if (this.metrics) {
+            const m = this.metrics;
+            metricsHTML = `
+                <h2>🎯 Model Accuracy Analysis</h2>
+                <table class="metrics">
+                    <tr><th>Overall Accuracy</th><td>${percent(m.accuracy)}</td></tr>
+                    <tr><th>Precision</th><td>${percent(m.precision)}</td></tr>
+                    <tr><th>Recall</th><td>${percent(m.recall)}</td></tr>
+                    <tr><th>F1-Score</th><td>${percent(m.f1Score)}</td></tr>
+                    ${Number.isFinite(m.brierScore) ? `<tr><th>Brier Score</th><td>${m.brierScore.toFixed(4)}</td></tr>` : ''}
+                </table>
+                <h3>Confusion Matrix</h3>
+                <table class="metrics">
+                    <tr><th></th><th>Actual exoplanet</th><th>Actual not exoplanet</th></tr>
+                    <tr><th>Predicted exoplanet</th><td>${m.truePositives}</td><td>${m.falsePositives}</td></tr>
+                    <tr><th>Predicted not exoplanet</th><td>${m.falseNegatives}</td><td>${m.trueNegatives}</td></tr>
+                </table>`;
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Exoplanet Prediction Report – ${Markup.escapeHTML(this.fileName)}</title>
+<style>
+  body { font-family: 'Segoe UI', Arial, sans-serif; margin: 40px; color: #1e293b; }
+  h1 { color: #6d28d9; }
+  .meta { color: #64748b; }
+  table { border-collapse: collapse; margin: 15px 0 30px; font-size: 0.85rem; }
+  th, td { border: 1px solid #e2e8f0; padding: 6px 10px; text-align: left; white-space: nowrap; }
+  th { background: #f1f5f9; }
+  table.metrics td { font-weight: 600; }
+  tr.exoplanet td:first-child { border-left: 4px solid #22c55e; }
+  tr.not-exoplanet td:first-child { border-left: 4px solid #ef4444; }
+</style>
+</head>
+<body>
+<h1>🌌 A World Away – Exoplanet Prediction Report</h1>
+<p class="meta">Source file: <strong>${Markup.escapeHTML(this.fileName)}</strong> · Generated ${new Date().toLocaleString()}</p>
+<h2>📊 Model Prediction Summary</h2>
+<table class="metrics">
+  <tr><th>Total objects analyzed</th><td>${total}</td></tr>
+  <tr><th>🌍 CONFIRMED Exoplanets</th><td>${exoplanetCount}</td></tr>
+  <tr><th>⭐ FALSE POSITIVES</th><td>${total - exoplanetCount}</td></tr>
+  <tr><th>Exoplanet detection rate</th><td>${total ? percent(exoplanetCount / total) : '—'}</td></tr>
+  <tr><th>Average model confidence</th><td>${percent(avgConfidence)}</td></tr>
+</table>
+${metricsHTML}
+${triageHTML}
+<h2>🔭 Predictions</h2>
+<table>
+  <thead><tr>${headers.map(h => `<th>${Markup.escapeHTML(h)}</th>`).join('')}</tr></thead>
+  <tbody>${rows}</tbody>
+</table>
+</body>
+</html>
+`;
+    }
+
+    download(format) {
+        const exporters = {
+            csv: { content: () => this.toCSV(), type: 'text/csv', extension: 'csv' },
+            json: { content: () => this.toJSON(), type: 'application/json', extension: 'json' },
+            html: { content: () => this.toHTMLReport(), type: 'text/html', extension: 'html' }
+        };
+        const exporter = exporters[format];
+        if (!exporter) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const blob = new Blob([exporter.content()], { type: `${exporter.type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = format === 'html'
+            ? `${this.baseName}_report.html`
+            : `${this.baseName}_predictions.${exporter.extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    escapeCSV(value) {
+        if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+            return '';
+        }
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
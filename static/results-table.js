@@ -0,0 +1,330 @@
+class ResultsTable {
+    constructor(container, columns, options = {}) {
+        this.container = container;
+        this.columns = columns;
+        this.rowHeight = options.rowHeight || 40;
+        this.viewportHeight = options.viewportHeight || 520;
+        this.overscan = options.overscan || 10;
+        this.tags = options.tags || [];
+        this.onSelect = options.onSelect || null;
+        this.onChange = options.onChange || (() => {});
+
+        this.rows = [];
+        this.filteredRows = [];
+        this.sortKey = null;
+        this.sortDirection = 1;
+        this.query = '';
+        this.predictionFilter = 'all';
+        this.tagFilter = 'all';
+        this.highlighted = null;
+
+        this.build();
+    }
+
+    build() {
+        this.container.innerHTML = `
+            <div class="table-toolbar">
+                <input type="text" class="table-filter" placeholder='Filter, e.g. "exoplanet probability > 0.9 and koi_prad < 2"'>
+                <select class="table-prediction-filter">
+                    <option value="all">All predictions</option>
+                    <option value="exoplanet">🌍 Exoplanets only</option>
+                    <option value="not-exoplanet">⭐ Not exoplanets only</option>
+                </select>
+                ${this.tags.length ? `
+                    <select class="table-tag-filter">
+                        <option value="all">All tags</option>
+                        <option value="tagged">Any tag</option>
+                        <option value="untagged">Untagged</option>
+                        ${this.tags.map(tag => `<option value="${tag.id}">${tag.label}</option>`).join('')}
+                    </select>
+                ` : ''}
+                <span class="table-count"></span>
+            </div>
+            <p class="table-filter-error"></p>
+            <div class="table-viewport" style="height: ${this.viewportHeight}px;">
+                <table class="results-table">
+                    <thead><tr></tr></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        this.viewport = this.container.querySelector('.table-viewport');
+        this.tbody = this.container.querySelector('tbody');
+        this.countLabel = this.container.querySelector('.table-count');
+        this.filterError = this.container.querySelector('.table-filter-error');
+
+        const headerRow = this.container.querySelector('thead tr');
+        this.columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+            th.dataset.key = column.key;
+            th.title = 'Click to sort';
+            th.addEventListener('click', () => this.sortBy(column.key));
+            headerRow.appendChild(th);
+        });
+
+        const filterInput = this.container.querySelector('.table-filter');
+        let filterTimer = null;
+        filterInput.addEventListener('input', () => {
+            // Debounce so typing stays smooth on large tables
+            clearTimeout(filterTimer);
+            filterTimer = setTimeout(() => {
+                this.query = filterInput.value;
+                this.applyFilters();
+            }, 150);
+        });
+
+        this.container.querySelector('.table-prediction-filter').addEventListener('change', (e) => {
+            this.predictionFilter = e.target.value;
+            this.applyFilters();
+        });
+
+        const tagFilter = this.container.querySelector('.table-tag-filter');
+        if (tagFilter) {
+            tagFilter.addEventListener('change', (e) => {
+                this.tagFilter = e.target.value;
+                this.applyFilters();
+            });
+        }
+
+        this.tbody.addEventListener('click', (e) => {
+            const tr = e.target.closest('tr[data-row]');
+            if (tr && this.onSelect) {
+                this.onSelect(this.filteredRows[Number(tr.dataset.row)]);
+            }
+        });
+
+        // Only the rows inside the viewport are in the DOM; re-render on scroll
+        let scheduled = false;
+        this.viewport.addEventListener('scroll', () => {
+            if (scheduled) return;
+            scheduled = true;
+            requestAnimationFrame(() => {
+                scheduled = false;
+                this.renderVisibleRows();
+            });
+        });
+    }
+
+    setData(rows) {
+        this.rows = rows;
+        this.applyFilters();
+    }
+
+    // Filters and sort order, as kept in the URL hash
+    getState() {
+        return {
+            query: this.query,
+            prediction: this.predictionFilter,
+            tag: this.tagFilter,
+            sortKey: this.sortKey,
+            sortDirection: this.sortDirection
+        };
+    }
+
+    setState(state) {
+        this.query = state.query || '';
+        this.predictionFilter = state.prediction || 'all';
+        this.tagFilter = this.tags.length && state.tag ? state.tag : 'all';
+        this.sortKey = this.columns.some(column => column.key === state.sortKey) ? state.sortKey : null;
+        this.sortDirection = state.sortDirection === -1 ? -1 : 1;
+
+        this.container.querySelector('.table-filter').value = this.query;
+        this.container.querySelector('.table-prediction-filter').value = this.predictionFilter;
+        const tagFilter = this.container.querySelector('.table-tag-filter');
+        if (tagFilter) tagFilter.value = this.tagFilter;
+        this.updateSortHeaders();
+    }
+
+    matchesTag(row) {
+        const tag = row.triage ? row.triage.tag : null;
+        if (this.tagFilter === 'all') return true;
+        if (this.tagFilter === 'tagged') return Boolean(tag);
+        if (this.tagFilter === 'untagged') return !tag;
+        return tag === this.tagFilter;
+    }
+
+    applyFilters() {
+        let clauses;
+        try {
+            clauses = this.parseQuery(this.query);
+            this.filterError.textContent = '';
+        } catch (error) {
+            this.filterError.textContent = error.message;
+            return;
+        }
+
+        this.filteredRows = this.rows.filter(row => {
+            if (this.predictionFilter === 'exoplanet' && !row.isExoplanet) return false;
+            if (this.predictionFilter === 'not-exoplanet' && row.isExoplanet) return false;
+            if (!this.matchesTag(row)) return false;
+            return clauses.every(clause => this.matchesClause(row, clause));
+        });
+
+        this.applySort();
+        this.viewport.scrollTop = 0;
+        this.renderVisibleRows();
+        this.onChange();
+    }
+
+    // Supports "<column> <op> <number>" clauses joined with "and", plus free-text terms
+    parseQuery(query) {
+        const parts = query.split(/\s+and\s+/i).map(p => p.trim()).filter(Boolean);
+
+        return parts.map(part => {
+            const match = part.match(/^(.+?)\s*(>=|<=|!=|==|=|>|<)\s*(-?[\d.]+(?:e-?\d+)?)(%?)$/i);
+            if (!match) {
+                return { type: 'text', value: part.toLowerCase() };
+            }
+
+            const column = this.findColumn(match[1]);
+            if (!column) {
+                throw new Error(`Unknown column in filter: "${match[1].trim()}"`);
+            }
+
+            let value = parseFloat(match[3]);
+            if (match[4] === '%') value /= 100;
+            return { type: 'range', column: column, op: match[2], value: value };
+        });
+    }
+
+    findColumn(name) {
+        const normalize = (text) => text.toLowerCase().replace(/[\s_.-]+/g, '');
+        const target = normalize(name);
+        return this.columns.find(column =>
+            normalize(column.key) === target ||
+            normalize(column.label) === target ||
+            (column.aliases || []).some(alias => normalize(alias) === target)
+        );
+    }
+
+    matchesClause(row, clause) {
+        if (clause.type === 'text') {
+            return this.columns.some(column => {
+                if (!column.searchable) return false;
+                return String(this.formatCell(column, row)).toLowerCase().includes(clause.value);
+            });
+        }
+
+        const value = clause.column.value(row);
+        if (!Number.isFinite(value)) return false;
+        switch (clause.op) {
+            case '>': return value > clause.value;
+            case '>=': return value >= clause.value;
+            case '<': return value < clause.value;
+            case '<=': return value <= clause.value;
+            case '!=': return value !== clause.value;
+            default: return value === clause.value;
+        }
+    }
+
+    sortBy(key) {
+        if (this.sortKey === key) {
+            this.sortDirection = -this.sortDirection;
+        } else {
+            this.sortKey = key;
+            this.sortDirection = 1;
+        }
+
+        this.updateSortHeaders();
+        this.applySort();
+        this.renderVisibleRows();
+        this.onChange();
+    }
+
+    updateSortHeaders() {
+        this.container.querySelectorAll('thead th').forEach(th => {
+            th.classList.remove('sort-asc', 'sort-desc');
+            if (th.dataset.key === this.sortKey) {
+                th.classList.add(this.sortDirection === 1 ? 'sort-asc' : 'sort-desc');
+            }
+        });
+    }
+
+    applySort() {
+        if (!this.sortKey) return;
+        const column = this.columns.find(c => c.key === this.sortKey);
+        const direction = this.sortDirection;
+
+        this.filteredRows.sort((a, b) => {
+            const va = column.value(a);
+            const vb = column.value(b);
+            // Missing values always sink to the bottom
+            const aMissing = va === null || va === undefined || Number.isNaN(va);
+            const bMissing = vb === null || vb === undefined || Number.isNaN(vb);
+            if (aMissing || bMissing) return aMissing - bMissing;
+            if (typeof va === 'string' || typeof vb === 'string') {
+                return String(va).localeCompare(String(vb)) * direction;
+            }
+            return (va - vb) * direction;
+        });
+    }
+
+    renderVisibleRows() {
+        const total = this.filteredRows.length;
+        const scrollTop = this.viewport.scrollTop;
+        const visibleCount = Math.ceil(this.viewportHeight / this.rowHeight);
+        const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
+        const end = Math.min(total, start + visibleCount + this.overscan * 2);
+
+        const colspan = this.columns.length;
+        let html = `<tr class="spacer" style="height: ${start * this.rowHeight}px;"><td colspan="${colspan}"></td></tr>`;
+
+        for (let i = start; i < end; i++) {
+            const row = this.filteredRows[i];
+            const cells = this.columns.map(column => {
+                const className = column.className ? column.className(row) : '';
+                return `<td class="${className}">${Markup.escapeHTML(this.formatCell(column, row))}</td>`;
+            }).join('');
+            html += `<tr data-row="${i}" class="${row === this.highlighted ? 'highlighted' : ''}" style="height: ${this.rowHeight}px;">${cells}</tr>`;
+        }
+
+        html += `<tr class="spacer" style="height: ${(total - end) * this.rowHeight}px;"><td colspan="${colspan}"></td></tr>`;
+        this.tbody.innerHTML = html;
+
+        this.countLabel.textContent = `${total} of ${this.rows.length} rows`;
+    }
+
+    // Scrolls a row into the middle of the viewport, clearing filters that hide it
+    highlight(row) {
+        this.highlighted = row;
+        if (!this.filteredRows.includes(row)) {
+            this.query = '';
+            this.predictionFilter = 'all';
+            this.tagFilter = 'all';
+            this.container.querySelector('.table-filter').value = '';
+            this.container.querySelector('.table-prediction-filter').value = 'all';
+            const tagFilter = this.container.querySelector('.table-tag-filter');
+            if (tagFilter) tagFilter.value = 'all';
+            this.applyFilters();
+        }
+
+        const index = this.filteredRows.indexOf(row);
+        this.viewport.scrollTop = Math.max(0, index * this.rowHeight - (this.viewportHeight - this.rowHeight) / 2);
+        this.renderVisibleRows();
+    }
+
+    // Moves the highlight for keyboard stepping, scrolling only as far as needed to show the row
+    select(row) {
+        const index = this.filteredRows.indexOf(row);
+        if (index === -1) {
+            this.highlight(row);
+            return;
+        }
+
+        this.highlighted = row;
+        const top = index * this.rowHeight;
+        if (top < this.viewport.scrollTop) {
+            this.viewport.scrollTop = top;
+        } else if (top + this.rowHeight > this.viewport.scrollTop + this.viewportHeight) {
+            this.viewport.scrollTop = top + this.rowHeight - this.viewportHeight;
+        }
+        this.renderVisibleRows();
+    }
+
+    formatCell(column, row) {
+        const value = column.value(row);
+        return column.format ? column.format(value, row) : value;
+    }
+}
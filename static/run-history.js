@@ -0,0 +1,231 @@
+class RunHistory {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'exoplanet-predictor';
+        this.maxRuns = options.maxRuns || 50;
+        this.db = null;
+    }
+
+    // Run summaries and their (much larger) predictions live in separate stores
+    // so listing the history never loads every prediction ever made.
+    // Triage is kept per row so a tag edit doesn't rewrite the whole run.
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 2);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    const runs = db.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+                    runs.createIndex('fileHash', 'fileHash');
+                    db.createObjectStore('predictions', { keyPath: 'runId' });
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore('triage', { keyPath: ['runId', 'line'] });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async transaction(stores, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(stores, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+            work(tx, (value) => {
+                result = value;
+            });
+        });
+    }
+
+    async save(run, predictions) {
+        const id = await this.transaction(['runs', 'predictions', 'triage'], 'readwrite', (tx, done) => {
+            const request = tx.objectStore('runs').add(run);
+            request.onsuccess = () => {
+                tx.objectStore('predictions').put({ runId: request.result, predictions: RunHistory.storable(predictions) });
+                RunHistory.putTriage(tx, request.result, predictions.filter(prediction => prediction.triage));
+                done(request.result);
+            };
+        });
+        await this.prune();
+        return id;
+    }
+
+    // Relabelling after a threshold change rewrites the stored predictions
+    update(id, changes, predictions) {
+        return this.transaction(['runs', 'predictions', 'triage'], 'readwrite', (tx) => {
+            const runs = tx.objectStore('runs');
+            const request = runs.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                runs.put({ ...request.result, ...changes });
+                tx.objectStore('predictions').put({ runId: id, predictions: RunHistory.storable(predictions) });
+                RunHistory.putTriage(tx, id, predictions.filter(prediction => prediction.triage));
+            };
+        });
+    }
+
+    // Writes the triage of just the given rows, plus the run's tag counts
+    saveTriage(id, predictions, counts) {
+        return this.transaction(['runs', 'triage'], 'readwrite', (tx) => {
+            const runs = tx.objectStore('runs');
+            const request = runs.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                runs.put({ ...request.result, triage: counts });
+                RunHistory.putTriage(tx, id, predictions);
+            };
+        });
+    }
+
+    // Cleared rows are stored as null so they override triage kept inside runs saved before the triage store existed
+    static putTriage(tx, id, predictions) {
+        const store = tx.objectStore('triage');
+        predictions.forEach(prediction => {
+            store.put({ runId: id, line: RunHistory.lineOf(prediction), triage: prediction.triage || null });
+        });
+    }
+
+    // Every [runId, line] key of one run
+    static runRange(id) {
+        return IDBKeyRange.bound([id], [id, []]);
+    }
+
+    static lineOf(prediction) {
+        return prediction.line || prediction.index;
+    }
+
+    // Explanations and similar objects are fetched on demand and are not worth keeping; triage has its own store
+    static storable(predictions) {
+        return predictions.map(({ explanation, similar, triage, ...prediction }) => prediction);
+    }
+
+    // Newest first
+    list() {
+        return this.transaction(['runs'], 'readonly', (tx, done) => {
+            const request = tx.objectStore('runs').getAll();
+            request.onsuccess = () => done(request.result.sort((a, b) => b.timestamp.localeCompare(a.timestamp)));
+        });
+    }
+
+    get(id) {
+        return this.transaction(['runs', 'predictions', 'triage'], 'readonly', (tx, done) => {
+            const run = tx.objectStore('runs').get(id);
+            const predictions = tx.objectStore('predictions').get(id);
+            const triage = tx.objectStore('triage').getAll(RunHistory.runRange(id));
+            triage.onsuccess = () => {
+                if (!run.result) {
+                    done(null);
+                    return;
+                }
+                const byLine = new Map(triage.result.map(entry => [entry.line, entry.triage]));
+                const rows = (predictions.result ? predictions.result.predictions : []).map(prediction => {
+                    const line = RunHistory.lineOf(prediction);
+                    return byLine.has(line) ? { ...prediction, triage: byLine.get(line) } : prediction;
+                });
+                done({ ...run.result, predictions: rows });
+            };
+        });
+    }
+
+    delete(id) {
+        return this.transaction(['runs', 'predictions', 'triage'], 'readwrite', (tx) => {
+            tx.objectStore('runs').delete(id);
+            tx.objectStore('predictions').delete(id);
+            tx.objectStore('triage').delete(RunHistory.runRange(id));
+        });
+    }
+
+    async prune() {
+        const runs = await this.list();
+        for (const run of runs.slice(this.maxRuns)) {
+            await this.delete(run.id);
+        }
+    }
+
+    // Files up to FULL_HASH_LIMIT are hashed whole; larger ones through SAMPLE_COUNT evenly spaced chunks
+    static get FULL_HASH_LIMIT() {
+        return 8 * 1024 * 1024;
+    }
+
+    static get SAMPLE_COUNT() {
+        return 64;
+    }
+
+    static get SAMPLE_SIZE() {
+        return 64 * 1024;
+    }
+
+    // SHA-256 of the file contents so renamed copies are still recognised as the same data.
+    // Large files are sampled (plus their size) so they're never read into memory in one piece.
+    static async hashFile(file) {
+        if (!window.crypto || !window.crypto.subtle) {
+            return `${file.name}:${file.size}:${file.lastModified}`;
+        }
+        const contents = file.size <= RunHistory.FULL_HASH_LIMIT
+            ? await RunHistory.readFile(file)
+            : await RunHistory.sampleFile(file);
+        const digest = await crypto.subtle.digest('SHA-256', contents);
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // The file size followed by chunks from the start, the end and evenly in between
+    static async sampleFile(file) {
+        const size = new TextEncoder().encode(`${file.size}\n`);
+        const last = file.size - RunHistory.SAMPLE_SIZE;
+        const buffer = new Uint8Array(size.length + RunHistory.SAMPLE_COUNT * RunHistory.SAMPLE_SIZE);
+        buffer.set(size);
+        for (let i = 0; i < RunHistory.SAMPLE_COUNT; i++) {
+            const start = Math.round(last * i / (RunHistory.SAMPLE_COUNT - 1));
+            const chunk = await RunHistory.readFile(file.slice(start, start + RunHistory.SAMPLE_SIZE));
+            buffer.set(new Uint8Array(chunk), size.length + i * RunHistory.SAMPLE_SIZE);
+        }
+        return buffer;
+    }
+
+    static readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    // Rows of the same file are paired by their source line
+    static diff(before, after) {
+        const key = (prediction) => prediction.line || prediction.index;
+        const afterByLine = new Map(after.predictions.map(p => [key(p), p]));
+        const pairs = [];
+        const onlyBefore = [];
+
+        before.predictions.forEach(a => {
+            const b = afterByLine.get(key(a));
+            if (b) {
+                pairs.push({ line: key(a), before: a, after: b, delta: b.exoplanetProbability - a.exoplanetProbability });
+                afterByLine.delete(key(a));
+            } else {
+                onlyBefore.push(a);
+            }
+        });
+
+        const flipped = pairs.filter(pair => pair.before.isExoplanet !== pair.after.isExoplanet);
+        return {
+            pairs: pairs,
+            flipped: flipped,
+            toExoplanet: flipped.filter(pair => pair.after.isExoplanet).length,
+            toNotExoplanet: flipped.filter(pair => !pair.after.isExoplanet).length,
+            meanAbsDelta: pairs.length ? pairs.reduce((sum, pair) => sum + Math.abs(pair.delta), 0) / pairs.length : 0,
+            movers: [...pairs].sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)),
+            onlyBefore: onlyBefore,
+            onlyAfter: [...afterByLine.values()]
+        };
+    }
+}
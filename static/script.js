@@ -2,9 +2,39 @@ class ExoplanetPredictor {
     constructor() {
         this.apiUrl = '/predict';
         this.healthUrl = '/health';
+        this.explainUrl = '/explain';
+        this.modelsUrl = '/models';
+        this.schemaUrl = '/schema';
+        this.uploadUrl = '/upload';
+        this.similarUrl = '/similar';
+        this.models = [];
+        this.schema = null;
+        this.featureNames = [];
         this.modelLoaded = false;
+        this.validator = null;
+        this.columnPolicies = {};
+        this.resultsView = 'table';
+        this.threshold = 0.5;
+        this.history = new RunHistory();
+        this.triageSaves = new Map();
+        this.selectedRuns = new Set();
+        this.runs = [];
+        this.localModels = {};
+        this.apiKey = this.loadApiKey();
+        this.authRequired = false;
+        this.triage = null;
+        this.triageCursor = null;
+        this.tableState = {};
+        this.currentRunId = null;
+        // A shared link waits here until results of its file are shown
+        this.pendingView = ViewState.parse(window.location.hash);
         this.initializeEventListeners();
+        this.candidateForm = new CandidateForm(
+            document.getElementById('candidateForm'),
+            (row, signal) => this.predictSingle(row, signal)
+        );
         this.checkModelStatus();
+        this.refreshHistory();
     }
 
     initializeEventListeners() {
@@ -36,7 +66,7 @@ class ExoplanetPredictor {
             e.preventDefault();
             uploadArea.classList.remove('dragover');
             const file = e.dataTransfer.files[0];
-            if (file && file.type === 'text/csv') {
+            if (file && this.isDelimitedTextFile(file)) {
                 this.handleFileSelect(file);
             } else {
                 this.showError('Please select a valid CSV file.');
@@ -47,6 +77,80 @@ class ExoplanetPredictor {
         predictBtn.addEventListener('click', () => {
             this.predictExoplanets();
         });
+
+        // Each model may expect a different feature set
+        document.getElementById('modelSelect').addEventListener('change', async (e) => {
+            try {
+                await this.loadSchema(e.target.value);
+                this.updateLocalModelLinks();
+            } catch (error) {
+                this.showModelStatus(`❌ ${error.message}`, 'error');
+            }
+        });
+
+        // Cancel an in-flight batch run
+        document.getElementById('cancelBtn').addEventListener('click', () => {
+            if (this.batchSubmitter) {
+                this.batchSubmitter.cancel();
+            }
+            if (this.jobClient) {
+                this.jobClient.cancel();
+            }
+        });
+
+        // Exported models for in-browser (offline) inference
+        const localModelFile = document.getElementById('localModelFile');
+        document.getElementById('localModelLoad').addEventListener('click', () => {
+            localModelFile.click();
+        });
+        localModelFile.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.loadLocalModelFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        document.getElementById('localModelCheck').addEventListener('click', () => {
+            this.checkLocalModel();
+        });
+        document.getElementById('localModelDownload').addEventListener('click', (e) => {
+            // A plain link can't send the API key, so fetch the file and save it from memory
+            if (this.apiKey) {
+                e.preventDefault();
+                this.downloadModelFile(e.currentTarget.href);
+            }
+        });
+
+        // API key for servers that require one
+        const apiKeyInput = document.getElementById('apiKeyInput');
+        document.getElementById('apiKeySave').addEventListener('click', () => {
+            if (apiKeyInput.value.trim()) {
+                this.saveApiKey(apiKeyInput.value);
+            }
+        });
+        apiKeyInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && apiKeyInput.value.trim()) {
+                this.saveApiKey(apiKeyInput.value);
+            }
+        });
+        document.getElementById('apiKeyForget').addEventListener('click', () => {
+            this.saveApiKey('');
+        });
+
+        // Run history sidebar
+        const historySidebar = document.getElementById('historySidebar');
+        document.getElementById('historyToggle').addEventListener('click', () => {
+            historySidebar.classList.toggle('open');
+        });
+        document.getElementById('historyClose').addEventListener('click', () => {
+            historySidebar.classList.remove('open');
+        });
+        document.getElementById('historyCompare').addEventListener('click', () => {
+            this.compareRuns([...this.selectedRuns]);
+        });
+
+        // Keyboard triage of the displayed results, and links pasted into an open tab
+        document.addEventListener('keydown', (e) => this.handleTriageKey(e));
+        window.addEventListener('hashchange', () => this.applyViewFromHash());
     }
 
     async checkModelStatus() {
@@ -54,18 +158,266 @@ class ExoplanetPredictor {
             const response = await fetch(this.healthUrl);
             const data = await response.json();
             this.modelLoaded = data.model_loaded;
+            this.referenceCatalog = data.reference_catalog || null;
+            this.authRequired = Boolean(data.auth_required);
+            this.updateApiKeyBar();
             
             if (this.modelLoaded) {
+                await this.loadModels();
+                await this.loadSchema(this.getSelectedModel());
+                this.updateLocalModelLinks();
                 console.log('✅ Model loaded and ready for predictions');
-                this.showModelStatus('✅ Model loaded successfully', 'success');
+                this.showModelStatus(`✅ ${this.models.length} model${this.models.length === 1 ? '' : 's'} loaded successfully`, 'success');
             } else {
                 console.log('❌ Model not loaded');
                 this.showModelStatus('❌ Model not loaded. Please start the Python server.', 'error');
             }
         } catch (error) {
             console.log('❌ Cannot connect to model server');
-            this.showModelStatus('❌ Cannot connect to model server. Please start the Python server with: python app.py', 'error');
+            this.showModelStatus('❌ Cannot connect to model server. Please start the Python server with: python app.py, or load an exported model file to predict in this browser.', 'error');
+        }
+    }
+
+    // Kept in localStorage so it survives reloads; it is only sent to this page's own server
+    loadApiKey() {
+        try {
+            return localStorage.getItem('exoplanet-api-key') || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    saveApiKey(key) {
+        this.apiKey = key.trim();
+        try {
+            if (this.apiKey) {
+                localStorage.setItem('exoplanet-api-key', this.apiKey);
+            } else {
+                localStorage.removeItem('exoplanet-api-key');
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not store the API key, it will be forgotten on reload:', error);
+        }
+        console.log(this.apiKey ? '🔑 API key saved' : '🔑 API key removed');
+        this.updateApiKeyBar();
+    }
+
+    updateApiKeyBar() {
+        document.getElementById('apiKeyBar').style.display = this.authRequired || this.apiKey ? '' : 'none';
+        document.getElementById('apiKeyStatus').textContent = this.apiKey
+            ? '🔑 API key saved in this browser'
+            : '🔑 This server requires an API key';
+        const input = document.getElementById('apiKeyInput');
+        input.value = '';
+        input.placeholder = this.apiKey ? 'Paste a new key to replace it' : 'Paste your API key';
+        document.getElementById('apiKeyForget').style.display = this.apiKey ? '' : 'none';
+    }
+
+    authHeaders(headers = {}) {
+        return this.apiKey ? { ...headers, Authorization: `Bearer ${this.apiKey}` } : headers;
+    }
+
+    // A 401 means keys were switched on after the page loaded, or the stored key was revoked
+    checkAuthResponse(response) {
+        if (response.status === 401) {
+            this.authRequired = true;
+            this.updateApiKeyBar();
+        }
+    }
+
+    async downloadModelFile(url) {
+        try {
+            const response = await fetch(url, { headers: this.authHeaders() });
+            this.checkAuthResponse(response);
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || `HTTP ${response.status}`);
+            }
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = `${this.getSelectedModel()}.forest.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (error) {
+            this.showModelStatus(`❌ Could not download the model: ${error.message}`, 'error');
+        }
+    }
+
+    // The server-side links only work while the server is up
+    updateLocalModelLinks() {
+        const modelId = this.getSelectedModel();
+        const download = document.getElementById('localModelDownload');
+        download.style.display = this.modelLoaded && modelId ? '' : 'none';
+        download.href = `${this.modelsUrl}/${encodeURIComponent(modelId || '')}/export?download=1`;
+        document.getElementById('localModelCheck').style.display = this.modelLoaded ? '' : 'none';
+    }
+
+    async loadLocalModelFile(file) {
+        try {
+            const model = new ForestModel(JSON.parse(await file.text()));
+            this.localModels[model.id] = model;
+            console.log(`💻 Offline model loaded: ${model.name} (${model.trees.length} trees)`);
+
+            // Without a server the file also supplies the model list and schema
+            if (!this.modelLoaded) {
+                if (!model.schema) {
+                    throw new Error('This model file has no feature schema; re-export it with model_export.py');
+                }
+                this.models = this.models.filter(m => m.id !== model.id).concat([{
+                    id: model.id,
+                    name: model.name,
+                    version: model.metadata.version || null,
+                    trained_at: model.metadata.trained_at || 'offline'
+                }]);
+                this.renderModelOptions(model.id);
+                this.applySchema(model.schema);
+            }
+            document.getElementById('submitMode').value = 'local';
+            document.getElementById('localModelStatus').textContent = `💻 ${Object.keys(this.localModels).length} offline model${Object.keys(this.localModels).length === 1 ? '' : 's'} loaded`;
+            this.showModelStatus(`✅ ${model.name} loaded for in-browser predictions`, 'success');
+        } catch (error) {
+            this.showModelStatus(`❌ Could not load model file: ${error.message}`, 'error');
+        }
+    }
+
+    // Downloads the export of a server model the first time it is needed
+    async ensureLocalModel(modelId) {
+        const id = modelId || Object.keys(this.localModels)[0];
+        if (this.localModels[id]) return this.localModels[id];
+        if (!this.modelLoaded) {
+            throw new Error('No offline model loaded. Use "Load model file" with an exported model first.');
         }
+        this.updateLoadingText(`Downloading ${this.getModelName(id)} for in-browser predictions...`);
+        this.localModels[id] = await ForestModel.load(`${this.modelsUrl}/${encodeURIComponent(id)}/export`, this.authHeaders());
+        return this.localModels[id];
+    }
+
+    isLocalInference() {
+        return document.getElementById('submitMode').value === 'local';
+    }
+
+    async predictLocally(data, modelId) {
+        const model = await this.ensureLocalModel(modelId);
+        // Yield between batches so progress repaints and Cancel stays clickable
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return this.toPredictions(model.predict(data), data, model.id);
+    }
+
+    // Runs the same rows through the server and the browser evaluator and reports any difference
+    async checkLocalModel() {
+        const source = this.predictions || [];
+        if (source.length === 0) {
+            this.showModelStatus('ℹ️ Run a prediction first; its rows are used as the sample for the check.', 'error');
+            return;
+        }
+
+        const modelId = this.getSelectedModel();
+        const step = Math.max(1, Math.floor(source.length / 500));
+        const rows = source.filter((_, i) => i % step === 0).slice(0, 500).map(p => p.data);
+        try {
+            const local = (await this.ensureLocalModel(modelId)).predict(rows);
+            const server = await this.requestPredictions(rows, undefined, modelId);
+            let maxDifference = 0;
+            let flipped = 0;
+            server.forEach((prediction, i) => {
+                maxDifference = Math.max(maxDifference, Math.abs(prediction.exoplanetProbability - local[i].exoplanet_probability));
+                if (prediction.isExoplanet !== local[i].is_exoplanet) flipped++;
+            });
+
+            const summary = `${rows.length} sample rows · max |Δ probability| ${maxDifference.toExponential(2)} · ${flipped} label${flipped === 1 ? '' : 's'} differ`;
+            console.log(`🧪 Local vs server: ${summary}`);
+            if (maxDifference < 1e-9 && flipped === 0) {
+                this.showModelStatus(`✅ In-browser model matches the server (${summary})`, 'success');
+            } else {
+                this.showModelStatus(`⚠️ In-browser model differs from the server (${summary})`, 'error');
+            }
+        } catch (error) {
+            this.showModelStatus(`❌ Consistency check failed: ${error.message}`, 'error');
+        }
+    }
+
+    async loadModels() {
+        const response = await fetch(this.modelsUrl);
+        const data = await response.json();
+        this.models = data.models;
+        this.renderModelOptions(data.default);
+    }
+
+    renderModelOptions(defaultId) {
+        const modelSelect = document.getElementById('modelSelect');
+        const compareSelect = document.getElementById('compareSelect');
+        const label = (model) => `${model.name}${model.version ? ` v${model.version}` : ''} · ${model.trained_at}`;
+
+        modelSelect.innerHTML = this.models
+            .map(model => `<option value="${model.id}" ${model.id === defaultId ? 'selected' : ''}>${Markup.escapeHTML(label(model))}</option>`)
+            .join('');
+        compareSelect.innerHTML = '<option value="">— none —</option>' + this.models
+            .map(model => `<option value="${model.id}">${Markup.escapeHTML(label(model))}</option>`)
+            .join('');
+
+        // Comparison only makes sense with a second model
+        document.getElementById('compareOption').style.display = this.models.length > 1 ? '' : 'none';
+    }
+
+    async loadSchema(modelId) {
+        if (!this.modelLoaded && this.localModels[modelId]) {
+            this.applySchema(this.localModels[modelId].schema);
+            return;
+        }
+        const query = modelId ? `?model=${encodeURIComponent(modelId)}` : '';
+        const response = await fetch(`${this.schemaUrl}${query}`);
+        const schema = await response.json();
+        if (!response.ok) {
+            throw new Error(schema.error || 'Failed to load model schema');
+        }
+        this.applySchema(schema);
+    }
+
+    // Everything that depends on the feature list is derived from the schema
+    applySchema(schema) {
+        this.schema = schema;
+        this.featureNames = schema.features.map(feature => feature.name);
+        this.validator = new DataValidator(DataValidator.rulesFromSchema(schema));
+        this.candidateForm.setFields(CandidateForm.fieldsFromSchema(schema));
+        this.renderFormatGuide(schema);
+        console.log(`📋 Schema loaded for ${schema.model}: ${this.featureNames.length} features`);
+    }
+
+    renderFormatGuide(schema) {
+        const columnsList = document.getElementById('columnsList');
+        columnsList.innerHTML = schema.features.map(feature => {
+            const details = [
+                feature.label,
+                feature.unit ? `Unit: ${feature.unit}` : '',
+                feature.description,
+                this.validator.describeRule(feature.name) ? `Valid: ${this.validator.describeRule(feature.name)}` : ''
+            ].filter(Boolean).join('\n');
+            return `<span class="column" title="${Markup.escapeHTML(details)}">${Markup.escapeHTML(feature.name)}</span>`;
+        }).join('');
+
+        document.getElementById('labelColumns').innerHTML = schema.label.columns
+            .map(column => `<em>${Markup.escapeHTML(column)}</em>`)
+            .join(', ');
+        if (schema.identifiers && schema.identifiers.length) {
+            document.getElementById('identifierColumns').innerHTML = schema.identifiers
+                .map(column => `<em>${Markup.escapeHTML(column)}</em>`)
+                .join(', ');
+        }
+        const unlabeled = schema.label.unlabeled_values || [];
+        document.getElementById('labelValues').textContent =
+            `${schema.label.positive_values.join('/')} for exoplanets and ${schema.label.negative_values.join('/')} otherwise` +
+            (unlabeled.length ? ` (${unlabeled.join('/')} rows are left out of the evaluation)` : '');
+    }
+
+    getSelectedModel() {
+        return document.getElementById('modelSelect').value || undefined;
+    }
+
+    getModelName(modelId) {
+        const model = this.models.find(m => m.id === modelId);
+        return model ? model.name : modelId;
     }
 
     showModelStatus(message, type) {
@@ -93,7 +445,7 @@ class ExoplanetPredictor {
     handleFileSelect(file) {
         if (!file) return;
 
-        if (file.type !== 'text/csv') {
+        if (!this.isDelimitedTextFile(file)) {
             this.showError('Please select a CSV file.');
             return;
         }
@@ -102,6 +454,12 @@ class ExoplanetPredictor {
         this.displayFileInfo(file);
     }
 
+    isDelimitedTextFile(file) {
+        // Browsers report CSV/TSV inconsistently (e.g. application/vnd.ms-excel on Windows)
+        const acceptedTypes = ['text/csv', 'text/tab-separated-values', 'text/plain', 'application/vnd.ms-excel'];
+        return acceptedTypes.includes(file.type) || /\.(csv|tsv|txt)$/i.test(file.name);
+    }
+
     displayFileInfo(file) {
         const fileInfo = document.getElementById('fileInfo');
         const fileName = document.getElementById('fileName');
@@ -118,6 +476,11 @@ class ExoplanetPredictor {
             return;
         }
 
+        if (!this.schema) {
+            this.showError('Model schema not loaded. Please start the Python server.');
+            return;
+        }
+
         const predictBtn = document.getElementById('predictBtn');
         const loading = document.getElementById('loading');
         const resultsSection = document.getElementById('resultsSection');
@@ -128,108 +491,152 @@ class ExoplanetPredictor {
         loading.style.display = 'block';
         resultsSection.style.display = 'block';
         resultsContainer.innerHTML = '';
+        this.currentRunId = null;
+        // New predictions carry the server's 0.5 labels, so the slider starts there too
+        this.threshold = 0.5;
+        let cleaned = null;
 
         try {
-            // Read CSV file
-            const csvData = await this.readCSVFile(this.selectedFile);
-            
-            // Parse CSV data (this automatically reorders columns)
-            const parsedData = this.parseCSV(csvData);
+            // Read and parse CSV data
+            const parsedData = await this.parseCSV(this.selectedFile);
+            this.updateLoadingText('Analyzing celestial signals...');
             
             if (parsedData.length === 0) {
                 throw new Error('No data found in CSV file.');
             }
 
+            // Map the file's columns (and units) onto the model features
+            loading.style.display = 'none';
+            const mapper = new ColumnMapper(this.schema);
+            const mapping = await this.reviewColumnMapping(mapper, this.parseReport.headers, parsedData);
+            if (!mapping) {
+                resultsContainer.innerHTML = '';
+                resultsSection.style.display = 'none';
+                return;
+            }
+            resultsContainer.innerHTML = '';
+            const mappedData = parsedData.map(row => mapper.apply(row, mapping));
+            const extrasByLine = new Map(this.sourceLines.map((line, i) => [line, mapper.extras(parsedData[i], mapping)]));
+            const sourceByLine = new Map(this.sourceLines.map((line, i) => [line, parsedData[i]]));
+            const conversions = mapper.conversions(mapping);
+
             // Validate CSV format
-            this.validateCSVFormat(parsedData[0]);
+            this.validateCSVFormat(mappedData[0]);
+
+            // Check every feature cell and let the user decide how bad values are handled
+            cleaned = await this.reviewDataQuality(mappedData, this.sourceLines);
+            if (!cleaned) {
+                resultsContainer.innerHTML = '';
+                resultsSection.style.display = 'none';
+                return;
+            }
+            if (cleaned.rows.length === 0) {
+                throw new Error('All rows were rejected by the data-quality policies.');
+            }
+            resultsContainer.innerHTML = '';
+            loading.style.display = 'block';
 
             // Get predictions from API
-            const predictions = await this.getPredictionsFromAPI(parsedData);
+            this.currentFileName = this.selectedFile.name;
+            this.currentFileHash = await RunHistory.hashFile(this.selectedFile);
+            const modelId = this.getSelectedModel();
+            const { predictions, failed } = await this.getPredictionsFromAPI(cleaned.rows, modelId);
+            predictions.forEach(prediction => {
+                prediction.line = cleaned.lines[prediction.index - 1];
+                prediction.extra = extrasByLine.get(prediction.line) || {};
+                // The file's own values are what gets exported; cells the model saw differently are listed
+                prediction.source = sourceByLine.get(prediction.line) || null;
+                prediction.adjusted = this.describeAdjustedCells(cleaned.adjusted[prediction.index - 1], conversions);
+            });
+
+            // Rows from batches that failed every retry are reported instead of discarded silently
+            const unpredicted = failed.flatMap(batch => cleaned.lines
+                .slice(batch.start, batch.end)
+                .map(line => ({ line: line, reason: batch.error.message })));
             
             // Display results
+            this.displaySkippedRows(this.parseReport.skipped, 'skipped while parsing');
+            this.displaySkippedRows(cleaned.rejected, 'rejected by data-quality policies');
+            this.displaySkippedRows(unpredicted, 'not predicted because their batch failed');
+            this.displayValidationErrors(
+                failed.flatMap(batch => batch.error.errors || []),
+                cleaned,
+                failed.reduce((sum, batch) => sum + (batch.error.errorCount || 0), 0)
+            );
             this.displayResults(predictions);
 
+            // Optionally run a second model over the same rows and show where they disagree
+            let compareId = document.getElementById('compareSelect').value;
+            if (compareId && compareId !== modelId) {
+                loading.style.display = 'block';
+                this.updateLoadingText(`Running comparison model ${this.getModelName(compareId)}...`);
+                try {
+                    const other = await this.getPredictionsFromAPI(cleaned.rows, compareId);
+                    this.displayModelComparison(predictions, other.predictions, modelId, compareId);
+                } catch (error) {
+                    // The primary results are already on screen; a failing second model only loses the comparison
+                    if (error.name === 'AbortError') throw error;
+                    console.error('Comparison model failed:', error);
+                    this.displayComparisonError(modelId, compareId, error);
+                    compareId = null;
+                }
+                this.updateLoadingText('Analyzing celestial signals...');
+            }
+
+            await this.saveRun(predictions, modelId, compareId);
+
         } catch (error) {
-            console.error('Error:', error);
-            this.showError(`Error processing file: ${error.message}`);
+            if (error.name === 'AbortError') {
+                this.showError('Prediction cancelled.');
+            } else {
+                console.error('Error:', error);
+                this.showError(`Error processing file: ${Markup.escapeHTML(error.message)}`);
+                if (error.errors && cleaned) {
+                    this.displayValidationErrors(error.errors, cleaned, error.errorCount);
+                }
+            }
         } finally {
             // Hide loading state
             predictBtn.disabled = false;
             loading.style.display = 'none';
+            document.getElementById('batchProgress').style.display = 'none';
         }
     }
 
-    readCSVFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
+    describeAdjustedCells(adjusted, conversions) {
+        const notes = Object.entries(conversions).map(([feature, source]) => `${feature}: converted from ${source}`);
+        Object.entries(adjusted || {}).forEach(([column, adjustment]) => {
+            notes.push(this.validator.describeAdjustment(column, adjustment));
         });
+        return notes;
     }
 
-    parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, '')); // Remove quotes if present
-        
-        // Define the required order for the model
-        const requiredOrder = [
-            'koi_fpflag_nt', 'koi_fpflag_ss', 'koi_fpflag_co', 'koi_fpflag_ec',
-            'koi_period', 'koi_impact', 'koi_duration', 'koi_depth',
-            'koi_prad', 'koi_teq', 'koi_insol', 'koi_model_snr',
-            'koi_steff', 'koi_slogg', 'koi_srad', 'koi_kepmag'
-        ];
-        
-        // Check for ground truth columns
-        const groundTruthColumns = ['is_exoplanet', 'exoplanet', 'label', 'target'];
-        const foundGroundTruth = groundTruthColumns.find(col => headers.includes(col));
-        
-        const data = [];
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
-            if (values.length === headers.length) {
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = parseFloat(values[index]) || 0;
-                });
-                
-                // Reorder the row to match model format
-                const reorderedRow = this.reorderRow(row, requiredOrder, foundGroundTruth);
-                data.push(reorderedRow);
-            }
-        }
-        
-        return data;
-    }
-    
-    reorderRow(row, requiredOrder, groundTruthColumn) {
-        const reorderedRow = {};
-        
-        // Add columns in the required order
-        requiredOrder.forEach(column => {
-            if (column in row) {
-                reorderedRow[column] = row[column];
-            } else {
-                console.warn(`Missing required column: ${column}`);
-                reorderedRow[column] = 0; // Default value for missing columns
-            }
+    async parseCSV(file) {
+        // Stream the file through the RFC 4180 parser instead of reading it in one go
+        const parser = new CSVParser();
+        const parsed = await parser.parseFile(file, (loaded, total) => {
+            this.updateLoadingText(`Reading file... ${Math.round((loaded / total) * 100)}%`);
         });
+        this.parseReport = parsed;
+
+        const headers = parsed.headers;
         
-        // Add ground truth column if present
-        if (groundTruthColumn && groundTruthColumn in row) {
-            reorderedRow[groundTruthColumn] = row[groundTruthColumn];
-        }
+        // Values stay as raw strings keyed by the file's own headers; ColumnMapper
+        // turns them into model features and DataValidator decides how to convert them
+        this.sourceLines = parsed.records.map(record => record.line);
+        const data = parsed.records.map(record => {
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = record.values[index];
+            });
+            return row;
+        });
         
-        return reorderedRow;
+        return data;
     }
 
     validateCSVFormat(firstRow) {
-        const requiredColumns = [
-            'koi_fpflag_nt', 'koi_fpflag_ss', 'koi_fpflag_co', 'koi_fpflag_ec',
-            'koi_period', 'koi_impact', 'koi_duration', 'koi_depth',
-            'koi_prad', 'koi_teq', 'koi_insol', 'koi_model_snr',
-            'koi_steff', 'koi_slogg', 'koi_srad', 'koi_kepmag'
-        ];
+        const requiredColumns = this.featureNames;
 
         const missingColumns = requiredColumns.filter(col => !(col in firstRow));
         
@@ -237,148 +644,155 @@ class ExoplanetPredictor {
             throw new Error(`Missing required columns: ${missingColumns.join(', ')}`);
         }
         
-        // Check if ground truth column exists (0/1 format)
-        this.hasGroundTruth = 'is_exoplanet' in firstRow || 'exoplanet' in firstRow || 'label' in firstRow || 'target' in firstRow;
+        // Check if ground truth column exists
+        this.hasGroundTruth = this.schema.label.columns.some(col => col in firstRow);
         if (this.hasGroundTruth) {
             console.log('Ground truth labels detected - accuracy testing enabled');
         }
         
-        // Log successful reordering
-        console.log('✅ CSV columns automatically reordered to match model format');
+        // Log successful mapping
+        console.log('✅ CSV columns mapped to model format');
         console.log('📋 Required columns found:', requiredColumns.length);
         console.log('🎯 Ground truth column:', this.hasGroundTruth ? 'Found' : 'Not found');
     }
 
-    async getPredictionsFromAPI(data) {
-        try {
-            if (!this.modelLoaded) {
-                throw new Error('Model not loaded. Please start the Python server.');
+    getBatchSize() {
+        const value = parseInt(document.getElementById('batchSize').value, 10);
+        return Number.isFinite(value) && value > 0 ? value : 500;
+    }
+
+    updateBatchProgress(progress) {
+        const percent = progress.totalRows ? (progress.completedRows / progress.totalRows) * 100 : 0;
+        document.getElementById('progressBar').style.width = `${percent.toFixed(1)}%`;
+        document.getElementById('progressStats').textContent =
+            `${progress.completedRows} / ${progress.totalRows} rows · ` +
+            (progress.totalBatches ? `batch ${progress.completedBatches} / ${progress.totalBatches} · ` : '') +
+            `${Math.round(progress.rowsPerSecond)} rows/sec`;
+        document.getElementById('progressStatus').textContent = progress.status;
+    }
+
+    async predictSingle(row, signal) {
+        const predictions = await this.postPredictions([row], signal, this.getSelectedModel());
+        return predictions[0];
+    }
+
+    async postPredictions(data, signal, model) {
+        if (this.isLocalInference()) {
+            return this.predictLocally(data, model);
+        }
+        return this.requestPredictions(data, signal, model);
+    }
+
+    async requestPredictions(data, signal, model) {
+        // Send data to the model server
+        const response = await fetch(this.apiUrl, {
+            method: 'POST',
+            headers: this.authHeaders({
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify({ data: data, model: model }),
+            signal: signal
+        });
+
+        if (!response.ok) {
+            this.checkAuthResponse(response);
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(errorData.error || `Model prediction failed (HTTP ${response.status})`);
+            error.status = response.status;
+            error.errors = errorData.errors || [];
+            // The server lists at most MAX_REPORTED_ERRORS but counts them all
+            error.errorCount = errorData.error_count || error.errors.length;
+            if (response.status === 429) {
+                error.retryAfter = Number(response.headers.get('Retry-After')) || 0;
             }
+            throw error;
+        }
 
-            // Send data to local model
-            const response = await fetch(this.apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ data: data })
-            });
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.error || 'Prediction failed');
+        }
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'Model prediction failed');
+        return this.toPredictions(result.predictions, data, result.model);
+    }
+
+    // Convert model results (server or in-browser) to our format
+    toPredictions(results, data, modelId) {
+        return results.map(pred => ({
+            index: pred.index,
+            isExoplanet: pred.is_exoplanet,
+            confidence: pred.confidence,
+            exoplanetProbability: pred.exoplanet_probability,
+            falsePositiveProbability: pred.false_positive_probability,
+            model: modelId,
+            data: data[pred.index - 1] // Cleaned row as sent to the model
+        }));
+    }
+
+    async getPredictionsFromAPI(data, model) {
+        try {
+            if (!this.modelLoaded && !this.isLocalInference()) {
+                throw new Error('Model not loaded. Please start the Python server, or load an exported model and run in this browser.');
             }
 
-            const result = await response.json();
-            
-            if (!result.success) {
-                throw new Error(result.error || 'Prediction failed');
+            if (document.getElementById('submitMode').value === 'server') {
+                return await this.runServerJob(data, model);
             }
 
-            // Convert model results to our format
-            const predictions = result.predictions.map((pred, index) => ({
-                index: pred.index,
-                isExoplanet: pred.is_exoplanet,
-                confidence: pred.confidence,
-                exoplanetProbability: pred.exoplanet_probability,
-                falsePositiveProbability: pred.false_positive_probability,
-                data: data[index] // Original data row
-            }));
+            // Large files go out in batches so one slow or failed request doesn't sink the run
+            this.batchSubmitter = new BatchSubmitter((rows, signal) => this.postPredictions(rows, signal, model), {
+                batchSize: this.getBatchSize(),
+                onProgress: (progress) => this.updateBatchProgress(progress)
+            });
+            document.getElementById('batchProgress').style.display = 'block';
+            const result = await this.batchSubmitter.run(data);
+
+            if (result.predictions.length === 0 && result.failed.length > 0) {
+                const error = result.failed[0].error;
+                error.errors = result.failed.flatMap(batch => batch.error.errors || []);
+                error.errorCount = result.failed.reduce((sum, batch) => sum + (batch.error.errorCount || 0), 0);
+                throw error;
+            }
 
-            console.log(`✅ Model predictions completed: ${predictions.length} samples processed`);
-            return predictions;
+            console.log(`✅ Model predictions completed: ${result.predictions.length} samples processed`);
+            return result;
 
         } catch (error) {
-            throw new Error(`Model Prediction Error: ${error.message}`);
+            if (error.name === 'AbortError') throw error;
+            const wrapped = new Error(`Model Prediction Error: ${error.message}`);
+            wrapped.errors = error.errors;
+            wrapped.errorCount = error.errorCount;
+            throw wrapped;
+        } finally {
+            this.batchSubmitter = null;
         }
     }
 
-    predictExoplanet(row) {
-        // Enhanced prediction logic based on exoplanet characteristics
-        // Based on Kepler mission data patterns
-        
-        let score = 0;
-        let factors = [];
-        
-        // Period factor (exoplanets typically have periods > 0)
-        if (row.koi_period > 0) {
-            score += 2;
-            factors.push('period');
-        }
-        
-        // Depth factor (transit depth indicates planet size)
-        if (row.koi_depth > 0) {
-            score += 2;
-            factors.push('depth');
-        }
-        
-        // Planet radius factor
-        if (row.koi_prad > 0) {
-            score += 1.5;
-            factors.push('radius');
-        }
-        
-        // Signal-to-noise ratio (higher is better)
-        if (row.koi_model_snr > 0) {
-            score += 1.5;
-            factors.push('snr');
-        }
-        
-        // Impact parameter (should be reasonable for transits)
-        if (row.koi_impact >= 0 && row.koi_impact <= 1) {
-            score += 1;
-            factors.push('impact');
-        }
-        
-        // Duration factor (transit duration should be positive)
-        if (row.koi_duration > 0) {
-            score += 1;
-            factors.push('duration');
-        }
-        
-        // Temperature factor (equilibrium temperature)
-        if (row.koi_teq > 0) {
-            score += 0.5;
-            factors.push('temperature');
-        }
-        
-        // Insolation factor (stellar flux)
-        if (row.koi_insol > 0) {
-            score += 0.5;
-            factors.push('insolation');
+    // Uploads the cleaned rows as one CSV and lets the server work through them as a background job
+    async runServerJob(data, model) {
+        const columns = this.featureNames;
+        const lines = [columns.join(',')].concat(data.map(row =>
+            columns.map(column => (Number.isFinite(row[column]) ? row[column] : '')).join(',')
+        ));
+        const file = new Blob([lines.join('\n') + '\n'], { type: 'text/csv' });
+
+        this.jobClient = new JobClient({
+            uploadUrl: this.uploadUrl,
+            headers: () => this.authHeaders(),
+            onProgress: (progress) => this.updateBatchProgress(progress)
+        });
+        document.getElementById('batchProgress').style.display = 'block';
+        this.updateBatchProgress({ completedRows: 0, totalRows: data.length, rowsPerSecond: 0, status: 'Uploading to server...' });
+
+        try {
+            const result = await this.jobClient.run(file, this.currentFileName || 'upload.csv', model);
+            const predictions = this.toPredictions(result.predictions, data, result.model);
+            console.log(`✅ Server job completed: ${predictions.length} samples processed`);
+            return { predictions: predictions, failed: [] };
+        } finally {
+            this.jobClient = null;
         }
-        
-        // False positive flags (negative values indicate fewer false positives)
-        if (row.koi_fpflag_nt < 0) score += 0.5;
-        if (row.koi_fpflag_ss < 0) score += 0.5;
-        if (row.koi_fpflag_co < 0) score += 0.5;
-        if (row.koi_fpflag_ec < 0) score += 0.5;
-        
-        // Store factors for debugging
-        row._predictionFactors = factors;
-        row._predictionScore = score;
-        
-        return score >= 4; // Threshold for exoplanet classification
-    }
-    
-    calculateConfidence(row) {
-        // Calculate confidence based on prediction score and data quality
-        const baseScore = row._predictionScore || 0;
-        const maxPossibleScore = 12; // Maximum possible score
-        
-        // Base confidence from score
-        let confidence = Math.min(baseScore / maxPossibleScore, 1);
-        
-        // Boost confidence for high-quality indicators
-        if (row.koi_model_snr > 0.5) confidence += 0.1;
-        if (row.koi_depth > 0.1) confidence += 0.1;
-        if (row.koi_period > 0.1) confidence += 0.1;
-        
-        // Reduce confidence for potential false positives
-        if (row.koi_fpflag_nt > 0) confidence -= 0.1;
-        if (row.koi_fpflag_ss > 0) confidence -= 0.1;
-        
-        return Math.max(0.5, Math.min(0.99, confidence)); // Keep confidence between 50% and 99%
     }
 
     calculateAccuracy(predictions) {
@@ -389,9 +803,14 @@ class ExoplanetPredictor {
         let falsePositives = 0; // Incorrectly predicted as exoplanets
         let falseNegatives = 0; // Incorrectly predicted as non-exoplanets
         
+        let squaredError = 0;
+        
         predictions.forEach(prediction => {
             const groundTruth = this.getGroundTruth(prediction.data);
             const predicted = prediction.isExoplanet;
+            if (groundTruth === 0 || groundTruth === 1) {
+                squaredError += Math.pow(prediction.exoplanetProbability - groundTruth, 2);
+            }
             
             if (groundTruth === 1 && predicted === true) {
                 truePositives++;
@@ -404,7 +823,9 @@ class ExoplanetPredictor {
             }
         });
         
-        const total = predictions.length;
+        // Unlabeled rows (e.g. CANDIDATE) don't count towards any metric
+        const total = truePositives + trueNegatives + falsePositives + falseNegatives;
+        if (total === 0) return null;
         const accuracy = (truePositives + trueNegatives) / total;
         const precision = truePositives / (truePositives + falsePositives) || 0;
         const recall = truePositives / (truePositives + falseNegatives) || 0;
@@ -415,6 +836,7 @@ class ExoplanetPredictor {
             precision: precision,
             recall: recall,
             f1Score: f1Score,
+            brierScore: squaredError / total,
             truePositives: truePositives,
             trueNegatives: trueNegatives,
             falsePositives: falsePositives,
@@ -423,77 +845,236 @@ class ExoplanetPredictor {
         };
     }
     
-    getGroundTruth(row) {
-        // Check for common ground truth column names (0/1 format)
-        if ('is_exoplanet' in row) return parseInt(row.is_exoplanet);
-        if ('exoplanet' in row) return parseInt(row.exoplanet);
-        if ('label' in row) return parseInt(row.label);
-        if ('target' in row) return parseInt(row.target);
+    // First identifier column with a value, in schema order (kepler_name before kepoi_name before kepid)
+    getIdentifier(prediction) {
+        const normalize = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const extra = prediction.extra || {};
+        const keys = Object.keys(extra).filter(key => String(extra[key]).trim() !== '');
+        for (const identifier of (this.schema && this.schema.identifiers) || []) {
+            const key = keys.find(k => normalize(k) === normalize(identifier));
+            if (key) return String(extra[key]).trim();
+        }
         return null;
     }
 
+    getTitle(prediction) {
+        return this.getIdentifier(prediction) || `Row #${prediction.index}`;
+    }
+
+    getGroundTruth(row) {
+        return this.readLabel(row).value;
+    }
+
+    // Check the ground truth column names and values accepted by the schema;
+    // "FALSE POSITIVE", "false_positive" and "1.0" are all recognised
+    readLabel(row) {
+        const label = this.schema.label;
+        const column = label.columns.find(col => col in row);
+        const raw = column ? row[column] : null;
+        if (raw === null || raw === undefined || String(raw).trim() === '') {
+            return { value: null, kind: 'missing', raw: raw };
+        }
+
+        const value = String(raw).trim().toLowerCase().replace(/[_\s]+/g, ' ');
+        if (label.positive_values.includes(value) || Number(value) === 1) {
+            return { value: 1, kind: 'positive', raw: raw };
+        }
+        if (label.negative_values.includes(value) || (value !== '' && Number(value) === 0)) {
+            return { value: 0, kind: 'negative', raw: raw };
+        }
+        if ((label.unlabeled_values || []).includes(value)) {
+            return { value: null, kind: 'unlabeled', raw: raw };
+        }
+        return { value: null, kind: 'unrecognized', raw: raw };
+    }
+
     displayResults(predictions) {
         const resultsContainer = document.getElementById('resultsContainer');
-        
-        let exoplanetCount = 0;
-        let notExoplanetCount = 0;
+        this.predictions = predictions;
+        this.triage = new Triage(predictions, { onChange: (prediction) => this.onTriageChange(prediction) });
+        this.triageCursor = null;
+        this.tableState = {};
 
-        predictions.forEach(prediction => {
-            const resultItem = document.createElement('div');
-            resultItem.className = `result-item ${prediction.isExoplanet ? 'exoplanet' : 'not-exoplanet'}`;
-            
-            const label = document.createElement('div');
-            label.className = `result-label ${prediction.isExoplanet ? 'exoplanet' : 'not-exoplanet'}`;
-            label.textContent = prediction.isExoplanet ? '🌍 Exoplanet' : '⭐ Not Exoplanet';
-            
-            const confidence = document.createElement('div');
-            confidence.className = 'result-confidence';
-            confidence.textContent = `${(prediction.confidence * 100).toFixed(1)}% confidence`;
-            
-            // Add detailed info
-            const details = document.createElement('div');
-            details.className = 'result-details';
-            details.style.fontSize = '0.9rem';
-            details.style.color = '#666';
-            details.style.marginTop = '5px';
-            
-            const exoplanetProb = prediction.exoplanetProbability || 0;
-            const falsePositiveProb = prediction.falsePositiveProbability || 0;
-            
-            details.innerHTML = `
-                <div><strong>Model Prediction:</strong> ${prediction.isExoplanet ? 'CONFIRMED' : 'FALSE POSITIVE'}</div>
-                <div><strong>Exoplanet Probability:</strong> ${(exoplanetProb * 100).toFixed(1)}% | <strong>False Positive Probability:</strong> ${(falsePositiveProb * 100).toFixed(1)}%</div>
-                <div><strong>Key Values:</strong> Period: ${prediction.data.koi_period.toFixed(3)} | Depth: ${prediction.data.koi_depth.toFixed(3)} | SNR: ${prediction.data.koi_model_snr.toFixed(3)}</div>
-            `;
-            
-            resultItem.appendChild(label);
-            resultItem.appendChild(confidence);
-            resultItem.appendChild(details);
-            resultsContainer.appendChild(resultItem);
+        if (this.pendingView && !this.applyPendingView()) {
+            const notice = document.createElement('div');
+            notice.className = 'view-notice';
+            notice.textContent = '🔗 The link you opened was made for a different file, so its filters and tags were not applied. Open the same file to see the shared view.';
+            resultsContainer.appendChild(notice);
+        }
 
-            if (prediction.isExoplanet) {
-                exoplanetCount++;
-            } else {
-                notExoplanetCount++;
-            }
+        // Table/card view toggle
+        const viewToggle = document.createElement('div');
+        viewToggle.className = 'view-toggle';
+        viewToggle.innerHTML = `
+            <button class="view-btn" data-view="table">📋 Table</button>
+            <button class="view-btn" data-view="cards">🗂️ Cards</button>
+        `;
+        const resultsView = document.createElement('div');
+        resultsView.className = 'results-view';
+
+        viewToggle.querySelectorAll('.view-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.resultsView = button.dataset.view;
+                this.renderResultsView(resultsView, viewToggle);
+                this.updateViewHash();
+            });
         });
+        this.resultsViewElement = resultsView;
+        this.viewToggle = viewToggle;
+        this.triageBar = this.createTriageBar();
+
+        resultsContainer.appendChild(this.createExportBar(predictions));
+        resultsContainer.appendChild(viewToggle);
+        resultsContainer.appendChild(this.triageBar);
+        resultsContainer.appendChild(resultsView);
+        this.renderResultsView(resultsView, viewToggle);
+        this.renderTriageBar();
+        this.updateViewHash();
 
         // Add summary
         const summary = document.createElement('div');
         summary.className = 'success-message';
-        
-        // Calculate accuracy if ground truth is available
-        const accuracyMetrics = this.calculateAccuracy(predictions);
-        
-        let summaryHTML = `
-            <h3>📊 Model Prediction Summary</h3>
-            <p><strong>Total objects analyzed:</strong> ${predictions.length}</p>
-            <p><strong>🌍 CONFIRMED Exoplanets:</strong> ${exoplanetCount}</p>
-            <p><strong>⭐ FALSE POSITIVES:</strong> ${notExoplanetCount}</p>
-            <p><strong>Exoplanet detection rate:</strong> ${((exoplanetCount / predictions.length) * 100).toFixed(1)}%</p>
-            <p><strong>Average model confidence:</strong> ${(predictions.reduce((sum, p) => sum + p.confidence, 0) / predictions.length * 100).toFixed(1)}%</p>
+        this.renderSummary(summary, predictions);
+        resultsContainer.appendChild(summary);
+
+        // Charts link back into whichever results view is showing
+        const chartsPanel = document.createElement('div');
+        chartsPanel.className = 'charts-panel';
+        resultsContainer.appendChild(chartsPanel);
+        this.chartsDashboard = new ChartsDashboard(chartsPanel, predictions, {
+            onSelect: (prediction) => this.highlightResult(prediction, resultsView),
+            getTitle: (prediction) => this.getTitle(prediction)
+        });
+
+        // Threshold tuning and the evaluation report need ground truth labels
+        if (this.hasGroundTruth) {
+            const evaluationPanel = document.createElement('div');
+            evaluationPanel.className = 'evaluation-panel';
+            const renderEvaluation = () => this.renderEvaluation(evaluationPanel, predictions, resultsView);
+
+            const thresholdPanel = this.createThresholdPanel(predictions, () => {
+                this.renderResultsView(resultsView, viewToggle);
+                this.renderSummary(summary, predictions);
+                this.chartsDashboard.render();
+                renderEvaluation();
+            });
+            if (thresholdPanel) {
+                resultsContainer.appendChild(thresholdPanel);
+            }
+            resultsContainer.appendChild(evaluationPanel);
+            renderEvaluation();
+        }
+    }
+
+    renderEvaluation(panel, predictions, resultsView) {
+        const evaluation = new ModelEvaluation(predictions, row => this.readLabel(row), {
+            features: this.schema.features
+        });
+        const counts = evaluation.labelCounts;
+        const percent = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : '—');
+
+        const coverage = `
+            <p class="evaluation-coverage">
+                ${counts.positive + counts.negative} labeled rows evaluated
+                (${counts.positive} exoplanets, ${counts.negative} false positives)
+                ${counts.unlabeled ? ` · ${counts.unlabeled} undecided (e.g. CANDIDATE) left out` : ''}
+                ${counts.missing ? ` · ${counts.missing} without a label` : ''}
+            </p>
+            ${counts.unrecognized ? `
+                <p class="evaluation-warning">
+                    ⚠️ ${counts.unrecognized} label${counts.unrecognized === 1 ? '' : 's'} not recognised and left out:
+                    ${evaluation.unrecognized.slice(0, 5).map(item => `line ${item.line} (“${Markup.escapeHTML(item.raw)}”)`).join(', ')}${counts.unrecognized > 5 ? ', …' : ''}
+                </p>
+            ` : ''}
         `;
-        
+
+        if (evaluation.samples.length === 0) {
+            panel.innerHTML = `<h3>🧪 Evaluation Report</h3>${coverage}`;
+            return;
+        }
+
+        const calibration = evaluation.calibration();
+        const sliceTables = evaluation.slices().map(group => `
+            <div class="slice-group">
+                <h4>${Markup.escapeHTML(group.title)} <code>${Markup.escapeHTML(group.feature)}</code></h4>
+                <table class="slice-table">
+                    <tr><th>Slice</th><th>Rows</th><th>Exoplanets</th><th>Accuracy</th><th>Precision</th><th>Recall</th><th>F1</th><th>Brier</th></tr>
+                    ${group.rows.map(row => `
+                        <tr class="${row.count === 0 ? 'empty' : ''}">
+                            <td>${Markup.escapeHTML(row.name)}</td>
+                            <td>${row.count}</td>
+                            <td>${row.positives}</td>
+                            <td>${row.count ? percent(row.accuracy) : '—'}</td>
+                            <td>${row.count ? percent(row.precision) : '—'}</td>
+                            <td>${row.count ? percent(row.recall) : '—'}</td>
+                            <td>${row.count ? percent(row.f1Score) : '—'}</td>
+                            <td>${this.formatValue(row.brierScore)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        `).join('');
+
+        const mistakes = evaluation.misclassifications();
+        const mistakeRows = mistakes.map((sample, i) => `
+            <tr data-mistake="${i}">
+                <td>${Markup.escapeHTML(this.getTitle(sample.prediction))}</td>
+                <td>${sample.prediction.line || sample.prediction.index}</td>
+                <td>${Markup.escapeHTML(this.readLabel(sample.prediction.data).raw)}</td>
+                <td>${sample.prediction.isExoplanet ? '🌍 Exoplanet' : '⭐ Not exoplanet'}</td>
+                <td>${percent(sample.probability)}</td>
+            </tr>
+        `).join('');
+
+        panel.innerHTML = `
+            <h3>🧪 Evaluation Report</h3>
+            ${coverage}
+            <div class="evaluation-grid">
+                <div>
+                    <h4>Reliability diagram</h4>
+                    ${evaluation.renderReliability(calibration)}
+                    <p class="evaluation-scores">
+                        Brier score <strong>${calibration.brierScore.toFixed(4)}</strong> ·
+                        Expected calibration error <strong>${percent(calibration.expectedCalibrationError)}</strong>
+                    </p>
+                </div>
+                <div>
+                    <h4>Most confident misclassifications</h4>
+                    ${mistakes.length ? `
+                        <table class="mistakes-table">
+                            <tr><th>Object</th><th>Line</th><th>Label</th><th>Predicted</th><th>Exoplanet probability</th></tr>
+                            ${mistakeRows}
+                        </table>
+                    ` : '<p>No misclassified rows at the current threshold.</p>'}
+                </div>
+            </div>
+            <h4>Metrics by slice</h4>
+            <div class="slice-groups">${sliceTables}</div>
+        `;
+
+        panel.querySelectorAll('tr[data-mistake]').forEach(row => {
+            row.addEventListener('click', () => {
+                this.highlightResult(mistakes[Number(row.dataset.mistake)].prediction, resultsView);
+            });
+        });
+    }
+
+    renderSummary(summary, predictions) {
+        const exoplanetCount = predictions.filter(p => p.isExoplanet).length;
+        const notExoplanetCount = predictions.length - exoplanetCount;
+
+        // Calculate accuracy if ground truth is available
+        const accuracyMetrics = this.calculateAccuracy(predictions);
+        
+        let summaryHTML = `
+            <h3>📊 Model Prediction Summary</h3>
+            <p><strong>Total objects analyzed:</strong> ${predictions.length}</p>
+            <p><strong>🌍 CONFIRMED Exoplanets:</strong> ${exoplanetCount}</p>
+            <p><strong>⭐ FALSE POSITIVES:</strong> ${notExoplanetCount}</p>
+            <p><strong>Exoplanet detection rate:</strong> ${((exoplanetCount / predictions.length) * 100).toFixed(1)}%</p>
+            <p><strong>Average model confidence:</strong> ${(predictions.reduce((sum, p) => sum + p.confidence, 0) / predictions.length * 100).toFixed(1)}%</p>
+        `;
+        
         if (accuracyMetrics) {
             summaryHTML += `
                 <hr style="margin: 15px 0; border: 1px solid #ddd;">
@@ -511,7 +1092,1502 @@ class ExoplanetPredictor {
         }
         
         summary.innerHTML = summaryHTML;
-        resultsContainer.appendChild(summary);
+    }
+
+    createExportBar(predictions) {
+        const exportBar = document.createElement('div');
+        exportBar.className = 'export-bar';
+        exportBar.innerHTML = `
+            <span>⬇️ Export:</span>
+            <button class="export-btn" data-format="csv">CSV</button>
+            <button class="export-btn" data-format="json">JSON</button>
+            <button class="export-btn" data-format="html">HTML Report</button>
+        `;
+
+        exportBar.querySelectorAll('.export-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const exporter = new ResultsExporter(predictions, {
+                    fileName: this.currentFileName || 'predictions.csv',
+                    metrics: this.calculateAccuracy(predictions)
+                });
+                exporter.download(button.dataset.format);
+            });
+        });
+
+        return exportBar;
+    }
+
+    displayModelComparison(predictions, otherPredictions, modelId, compareId) {
+        const resultsContainer = document.getElementById('resultsContainer');
+        const nameA = this.getModelName(modelId);
+        const nameB = this.getModelName(compareId);
+        const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+        // Pair rows by source index; batches that failed for either model are left out
+        const byIndex = new Map(otherPredictions.map(p => [p.index, p]));
+        const pairs = predictions
+            .filter(p => byIndex.has(p.index))
+            .map(p => ({ a: p, b: byIndex.get(p.index) }));
+
+        pairs.forEach(({ a, b }) => {
+            a.comparison = {
+                model: compareId,
+                isExoplanet: b.isExoplanet,
+                exoplanetProbability: b.exoplanetProbability
+            };
+        });
+
+        const total = pairs.length;
+        const bothExo = pairs.filter(({ a, b }) => a.isExoplanet && b.isExoplanet).length;
+        const bothNot = pairs.filter(({ a, b }) => !a.isExoplanet && !b.isExoplanet).length;
+        const onlyA = pairs.filter(({ a, b }) => a.isExoplanet && !b.isExoplanet).length;
+        const onlyB = pairs.filter(({ a, b }) => !a.isExoplanet && b.isExoplanet).length;
+        const agreement = total ? (bothExo + bothNot) / total : 0;
+        const meanDelta = total ? pairs.reduce((sum, { a, b }) => sum + Math.abs(a.exoplanetProbability - b.exoplanetProbability), 0) / total : 0;
+
+        // Cohen's kappa corrects the raw agreement for agreement expected by chance
+        const rateA = total ? (bothExo + onlyA) / total : 0;
+        const rateB = total ? (bothExo + onlyB) / total : 0;
+        const chance = rateA * rateB + (1 - rateA) * (1 - rateB);
+        const kappa = chance < 1 ? (agreement - chance) / (1 - chance) : 1;
+
+        let metricsHTML = '';
+        const metricsA = this.calculateAccuracy(pairs.map(p => p.a));
+        const metricsB = this.calculateAccuracy(pairs.map(p => p.b));
+        if (metricsA && metricsB) {
+            const row = (label, key) => `<tr><th>${label}</th><td>${percent(metricsA[key])}</td><td>${percent(metricsB[key])}</td></tr>`;
+            metricsHTML = `
+                <h4>🎯 Per-model metrics</h4>
+                <table class="comparison-table">
+                    <tr><th></th><th>${Markup.escapeHTML(nameA)}</th><th>${Markup.escapeHTML(nameB)}</th></tr>
+                    ${row('Accuracy', 'accuracy')}
+                    ${row('Precision', 'precision')}
+                    ${row('Recall', 'recall')}
+                    ${row('F1-Score', 'f1Score')}
+                </table>
+            `;
+        }
+
+        const disagreements = pairs
+            .filter(({ a, b }) => a.isExoplanet !== b.isExoplanet)
+            .sort((x, y) => Math.abs(y.a.exoplanetProbability - y.b.exoplanetProbability) - Math.abs(x.a.exoplanetProbability - x.b.exoplanetProbability));
+        const maxListed = 100;
+        const disagreementItems = disagreements.slice(0, maxListed).map(({ a, b }) => `
+            <li><strong>#${a.index}</strong>${a.line ? ` (line ${a.line})` : ''}:
+                ${Markup.escapeHTML(nameA)} ${a.isExoplanet ? '🌍' : '⭐'} ${percent(a.exoplanetProbability)}
+                vs. ${Markup.escapeHTML(nameB)} ${b.isExoplanet ? '🌍' : '⭐'} ${percent(b.exoplanetProbability)}</li>
+        `).join('');
+
+        const panel = document.createElement('div');
+        panel.className = 'comparison-panel';
+        panel.innerHTML = `
+            <h3>⚖️ Model Comparison: ${Markup.escapeHTML(nameA)} vs. ${Markup.escapeHTML(nameB)}</h3>
+            <p><strong>Agreement:</strong> ${percent(agreement)} of ${total} rows · <strong>Cohen's κ:</strong> ${kappa.toFixed(3)} · <strong>Mean |Δ probability|:</strong> ${percent(meanDelta)}</p>
+            <table class="comparison-table">
+                <tr><th></th><th>${Markup.escapeHTML(nameB)} 🌍</th><th>${Markup.escapeHTML(nameB)} ⭐</th></tr>
+                <tr><th>${Markup.escapeHTML(nameA)} 🌍</th><td>${bothExo}</td><td>${onlyA}</td></tr>
+                <tr><th>${Markup.escapeHTML(nameA)} ⭐</th><td>${onlyB}</td><td>${bothNot}</td></tr>
+            </table>
+            ${metricsHTML}
+            <details>
+                <summary>${disagreements.length} disagreement${disagreements.length === 1 ? '' : 's'}${disagreements.length > maxListed ? ` (largest ${maxListed} shown)` : ''}</summary>
+                <ul class="skipped-rows">${disagreementItems}</ul>
+            </details>
+        `;
+        resultsContainer.appendChild(panel);
+
+        // Refresh the table so it picks up the comparison columns
+        if (this.resultsTable && this.resultsView === 'table') {
+            this.tableState = this.resultsTable.getState();
+            this.renderResultsView(this.resultsViewElement, this.viewToggle);
+        }
+    }
+
+    displayComparisonError(modelId, compareId, error) {
+        const panel = document.createElement('div');
+        panel.className = 'comparison-panel comparison-error';
+        panel.innerHTML = `
+            <h3>⚖️ Model Comparison</h3>
+            <p>⚠️ The comparison model ${Markup.escapeHTML(this.getModelName(compareId))} failed: ${Markup.escapeHTML(error.message)}.
+                The results above are from ${Markup.escapeHTML(this.getModelName(modelId))} alone and were saved without a comparison.</p>
+        `;
+        document.getElementById('resultsContainer').appendChild(panel);
+    }
+
+    createThresholdPanel(predictions, onApply) {
+        const analysis = new ThresholdAnalysis(predictions, row => this.getGroundTruth(row));
+        if (analysis.positives === 0 || analysis.negatives === 0) return null;
+
+        const panel = document.createElement('div');
+        panel.className = 'threshold-panel';
+        panel.innerHTML = `
+            <h3>🎚️ Decision Threshold</h3>
+            <p>Re-label candidates from their exoplanet probability and pick an operating point for follow-up observations.</p>
+            <div class="threshold-control">
+                <input type="range" class="threshold-slider" min="0" max="1" step="0.01" value="${this.threshold}">
+                <span class="threshold-value"></span>
+            </div>
+            <div class="threshold-metrics"></div>
+            <div class="threshold-charts">
+                <div>
+                    <h4>ROC curve <span class="auc roc-auc">AUC ${analysis.roc.auc.toFixed(3)}</span></h4>
+                    <div class="roc-chart"></div>
+                </div>
+                <div>
+                    <h4>Precision–Recall curve <span class="auc pr-auc">AP ${analysis.pr.auc.toFixed(3)}</span></h4>
+                    <div class="pr-chart"></div>
+                </div>
+            </div>
+        `;
+
+        const slider = panel.querySelector('.threshold-slider');
+        const update = () => {
+            const threshold = parseFloat(slider.value);
+            const metrics = analysis.confusionAt(threshold);
+            const selected = predictions.filter(p => ThresholdAnalysis.isPositive(p.exoplanetProbability, threshold)).length;
+            const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+            panel.querySelector('.threshold-value').textContent = threshold.toFixed(2);
+            panel.querySelector('.threshold-metrics').innerHTML = `
+                <div class="metric"><span>Precision</span><strong>${percent(metrics.precision)}</strong></div>
+                <div class="metric"><span>Recall</span><strong>${percent(metrics.recall)}</strong></div>
+                <div class="metric"><span>F1-Score</span><strong>${percent(metrics.f1Score)}</strong></div>
+                <div class="metric"><span>Accuracy</span><strong>${percent(metrics.accuracy)}</strong></div>
+                <div class="metric"><span>Flagged for follow-up</span><strong>${selected}</strong></div>
+                <table class="confusion-matrix">
+                    <tr><th></th><th>Actual 🌍</th><th>Actual ⭐</th></tr>
+                    <tr><th>Predicted 🌍</th><td>${metrics.truePositives}</td><td>${metrics.falsePositives}</td></tr>
+                    <tr><th>Predicted ⭐</th><td>${metrics.falseNegatives}</td><td>${metrics.trueNegatives}</td></tr>
+                </table>
+            `;
+            panel.querySelector('.roc-chart').innerHTML = analysis.renderCurve(analysis.roc, {
+                title: 'ROC curve',
+                xLabel: 'False positive rate',
+                yLabel: 'True positive rate',
+                diagonal: true,
+                marker: { x: metrics.falsePositiveRate, y: metrics.recall }
+            });
+            panel.querySelector('.pr-chart').innerHTML = analysis.renderCurve(analysis.pr, {
+                title: 'Precision-recall curve',
+                xLabel: 'Recall',
+                yLabel: 'Precision',
+                marker: { x: metrics.recall, y: metrics.precision }
+            });
+        };
+
+        // Metrics follow the slider live; re-labelling the results waits for release
+        slider.addEventListener('input', update);
+        slider.addEventListener('change', () => {
+            this.threshold = parseFloat(slider.value);
+            predictions.forEach(p => {
+                p.isExoplanet = ThresholdAnalysis.isPositive(p.exoplanetProbability, this.threshold);
+                // Keep "Models Agree" comparing both models at the same operating point
+                if (p.comparison) {
+                    p.comparison.isExoplanet = ThresholdAnalysis.isPositive(p.comparison.exoplanetProbability, this.threshold);
+                }
+            });
+            onApply();
+            this.saveThreshold(predictions);
+        });
+        update();
+
+        return panel;
+    }
+
+    renderResultsView(container, viewToggle) {
+        container.innerHTML = '';
+        viewToggle.querySelectorAll('.view-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === this.resultsView);
+        });
+
+        if (this.resultsView === 'cards') {
+            this.rowDetail = null;
+            // Cards are built lazily so large files only pay for them on request
+            const fragment = document.createDocumentFragment();
+            this.predictions.forEach(prediction => fragment.appendChild(this.createResultCard(prediction)));
+            container.appendChild(fragment);
+        } else {
+            const tableContainer = document.createElement('div');
+            this.rowDetail = document.createElement('div');
+            this.rowDetail.className = 'row-detail';
+            container.appendChild(tableContainer);
+            container.appendChild(this.rowDetail);
+            this.renderRowDetail(null);
+
+            this.resultsTable = new ResultsTable(tableContainer, this.buildTableColumns(this.predictions), {
+                tags: Triage.TAGS,
+                onSelect: (prediction) => this.selectForTriage(prediction),
+                onChange: () => {
+                    this.tableState = this.resultsTable.getState();
+                    this.updateViewHash();
+                }
+            });
+            this.resultsTable.setState(this.tableState);
+            this.resultsTable.setData(this.predictions);
+        }
+
+        // Keep the selection across view switches unless the table's filters hide it
+        if (this.triageCursor && (this.resultsView !== 'table' || this.resultsTable.filteredRows.includes(this.triageCursor))) {
+            this.selectForTriage(this.triageCursor);
+        }
+    }
+
+    // A shared link's view is applied once, to results of the file it was made for
+    applyPendingView() {
+        const view = this.pendingView;
+        if (!ViewState.matchesFile(view, this.currentFileHash)) return false;
+
+        this.pendingView = null;
+        this.resultsView = view.view;
+        this.tableState = {
+            query: view.query,
+            prediction: view.prediction,
+            tag: view.tag,
+            sortKey: view.sortKey,
+            sortDirection: view.sortDirection
+        };
+        const tagged = this.triage.apply(view.tags);
+        if (tagged > 0) {
+            this.scheduleTriageSave(this.predictions.filter(p => p.triage));
+        }
+        this.triageCursor = view.row ? this.predictions.find(p => Triage.lineOf(p) === view.row) || null : null;
+        console.log(`🔗 Shared view applied (${tagged} tagged rows)`);
+        return true;
+    }
+
+    applyViewFromHash() {
+        const view = ViewState.parse(window.location.hash);
+        if (!view) return;
+        this.pendingView = view;
+        if (this.triage && document.body.contains(this.triageBar) && this.applyPendingView()) {
+            this.renderResultsView(this.resultsViewElement, this.viewToggle);
+            this.renderTriageBar();
+        }
+    }
+
+    updateViewHash() {
+        if (!this.triage) return;
+        const hash = ViewState.toHash({
+            ...this.tableState,
+            view: this.resultsView,
+            row: this.triageCursor ? Triage.lineOf(this.triageCursor) : null,
+            file: ViewState.fileKey(this.currentFileHash),
+            tags: this.triage.encode()
+        });
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${hash}`);
+    }
+
+    createTriageBar() {
+        const bar = document.createElement('div');
+        bar.className = 'triage-bar';
+        bar.innerHTML = `
+            <div class="triage-current"></div>
+            <div class="triage-actions">
+                ${Triage.TAGS.map(tag => `<button class="triage-tag" data-tag="${tag.id}" title="Shortcut: ${tag.key}">${tag.label}</button>`).join('')}
+                <button class="triage-tag" data-tag="" title="Shortcut: x">✖ Clear</button>
+                <input type="text" class="triage-note" placeholder="Note (n)" maxlength="500">
+            </div>
+            <div class="triage-footer">
+                <span class="triage-counts"></span>
+                <span class="triage-help">Keys: j/k move · f follow-up · r reject · u unsure · x clear · n note</span>
+                <button class="secondary-btn triage-link">🔗 Copy link to this view</button>
+            </div>
+        `;
+
+        // Buttons toggle: clicking the active tag removes it
+        bar.querySelectorAll('.triage-tag').forEach(button => {
+            button.addEventListener('click', () => {
+                if (!this.triageCursor) return;
+                const tag = button.dataset.tag;
+                this.triage.setTag(this.triageCursor, tag && this.triage.tagOf(this.triageCursor) !== tag ? tag : null);
+            });
+        });
+
+        // Saved on Enter or when the field loses focus; Escape discards the edit
+        const note = bar.querySelector('.triage-note');
+        note.addEventListener('change', () => {
+            if (this.triageCursor) {
+                this.triage.setNote(this.triageCursor, note.value);
+            }
+        });
+        note.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                note.value = this.triageCursor && this.triageCursor.triage ? this.triageCursor.triage.note : '';
+            }
+            if (e.key === 'Enter' || e.key === 'Escape') {
+                note.blur();
+            }
+        });
+
+        const link = bar.querySelector('.triage-link');
+        link.addEventListener('click', () => this.copyViewLink(link));
+        return bar;
+    }
+
+    renderTriageBar() {
+        const bar = this.triageBar;
+        const prediction = this.triageCursor;
+        const tag = prediction ? this.triage.tagOf(prediction) : null;
+
+        bar.querySelector('.triage-current').innerHTML = prediction
+            ? `<strong>${Markup.escapeHTML(this.getTitle(prediction))}</strong> · line ${Triage.lineOf(prediction)} ·
+               ${prediction.isExoplanet ? '🌍' : '⭐'} ${(prediction.exoplanetProbability * 100).toFixed(1)}% exoplanet probability`
+            : 'Click a row or press j to start triage.';
+        bar.querySelectorAll('.triage-tag').forEach(button => {
+            button.disabled = !prediction;
+            button.classList.toggle('active', Boolean(tag) && button.dataset.tag === tag);
+        });
+
+        const note = bar.querySelector('.triage-note');
+        note.disabled = !prediction;
+        if (document.activeElement !== note) {
+            note.value = prediction && prediction.triage ? prediction.triage.note : '';
+        }
+
+        const counts = this.triage.counts();
+        bar.querySelector('.triage-counts').textContent =
+            Triage.TAGS.map(t => `${t.label} ${counts[t.id]}`).join(' · ') + ` · ${counts.untagged} untagged`;
+    }
+
+    renderTriageBadge(badge, prediction) {
+        const triage = prediction.triage;
+        const tag = triage && triage.tag ? Triage.find(triage.tag) : null;
+        badge.textContent = `${tag ? tag.label : ''}${triage && triage.note ? ' 📝' : ''}`;
+        badge.title = triage && triage.note ? triage.note : '';
+        badge.style.display = triage ? '' : 'none';
+    }
+
+    selectForTriage(prediction) {
+        this.triageCursor = prediction;
+        if (this.resultsView === 'table') {
+            this.resultsTable.select(prediction);
+            this.renderRowDetail(prediction);
+        } else {
+            this.resultsViewElement.querySelectorAll('.result-item.highlighted').forEach(card => card.classList.remove('highlighted'));
+            const card = this.resultsViewElement.querySelector(`.result-item[data-index="${prediction.index}"]`);
+            if (card) {
+                card.classList.add('highlighted');
+                card.scrollIntoView({ block: 'nearest' });
+            }
+        }
+        this.renderTriageBar();
+        this.updateViewHash();
+    }
+
+    // Table rows have no room for Explain and Similar, so the selected row is shown as a card below the table
+    renderRowDetail(prediction) {
+        if (!this.rowDetail || (prediction && prediction === this.rowDetailPrediction)) return;
+        this.rowDetailPrediction = prediction;
+        if (!prediction) {
+            this.rowDetail.innerHTML = '<p class="row-detail-hint">Select a row to explain its prediction or look up similar objects.</p>';
+            return;
+        }
+        const card = this.createResultCard(prediction);
+        card.classList.add('highlighted');
+        this.rowDetail.replaceChildren(card);
+    }
+
+    // Steps through the rows in the order shown, i.e. the filtered and sorted table
+    moveTriageCursor(step) {
+        const rows = this.resultsView === 'table' ? this.resultsTable.filteredRows : this.predictions;
+        if (rows.length === 0) return;
+        const current = rows.indexOf(this.triageCursor);
+        const next = current === -1 ? 0 : Math.min(rows.length - 1, Math.max(0, current + step));
+        this.selectForTriage(rows[next]);
+    }
+
+    handleTriageKey(e) {
+        if (!this.triage || !document.body.contains(this.triageBar)) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, textarea, select')) return;
+
+        const tag = Triage.TAGS.find(t => t.key === e.key);
+        if (e.key === 'j' || e.key === 'k') {
+            this.moveTriageCursor(e.key === 'j' ? 1 : -1);
+        } else if (tag && this.triageCursor) {
+            // Tagging moves on to the next row so a list can be worked through in one go
+            this.triage.setTag(this.triageCursor, tag.id);
+            this.moveTriageCursor(1);
+        } else if (e.key === 'x' && this.triageCursor) {
+            this.triage.setTag(this.triageCursor, null);
+        } else if (e.key === 'n' && this.triageCursor) {
+            this.triageBar.querySelector('.triage-note').focus();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    onTriageChange(prediction) {
+        if (this.resultsView === 'table') {
+            this.resultsTable.renderVisibleRows();
+            if (this.rowDetailPrediction === prediction) {
+                this.renderTriageBadge(this.rowDetail.querySelector('.triage-badge'), prediction);
+            }
+        } else {
+            const card = this.resultsViewElement.querySelector(`.result-item[data-index="${prediction.index}"]`);
+            if (card) {
+                this.renderTriageBadge(card.querySelector('.triage-badge'), prediction);
+            }
+        }
+        this.renderTriageBar();
+        this.updateViewHash();
+        this.scheduleTriageSave([prediction]);
+    }
+
+    // The saved run keeps the labels and the threshold that produced them in step
+    async saveThreshold(predictions) {
+        if (!this.currentRunId) return;
+        try {
+            await this.history.update(this.currentRunId, {
+                threshold: this.threshold,
+                exoplanetCount: predictions.filter(p => p.isExoplanet).length,
+                metrics: this.calculateAccuracy(predictions)
+            }, predictions);
+            await this.refreshHistory();
+        } catch (error) {
+            console.warn('⚠️ Could not save the threshold:', error);
+        }
+    }
+
+    // Tag edits are written back to the saved run, batched while someone is tagging quickly.
+    // Only the edited rows are written, and each run has its own pending save so switching runs never drops one.
+    scheduleTriageSave(predictions) {
+        const runId = this.currentRunId;
+        if (!runId) return;
+
+        const pending = this.triageSaves.get(runId) || { triage: this.triage, rows: new Set() };
+        clearTimeout(pending.timer);
+        predictions.forEach(prediction => pending.rows.add(prediction));
+        this.triageSaves.set(runId, pending);
+
+        pending.timer = setTimeout(async () => {
+            this.triageSaves.delete(runId);
+            try {
+                await this.history.saveTriage(runId, [...pending.rows], pending.triage.counts());
+                await this.refreshHistory();
+            } catch (error) {
+                console.warn('⚠️ Could not save triage tags:', error);
+            }
+        }, 500);
+    }
+
+    async copyViewLink(button) {
+        this.updateViewHash();
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            button.textContent = '✅ Link copied';
+        } catch (error) {
+            button.textContent = '📋 Copy the address bar to share this view';
+        }
+        setTimeout(() => {
+            button.textContent = '🔗 Copy link to this view';
+        }, 2000);
+    }
+
+    highlightResult(prediction, resultsView) {
+        this.triageCursor = prediction;
+        this.renderTriageBar();
+        this.updateViewHash();
+        if (this.resultsView === 'table') {
+            this.resultsTable.highlight(prediction);
+            this.renderRowDetail(prediction);
+            resultsView.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            return;
+        }
+
+        resultsView.querySelectorAll('.result-item.highlighted').forEach(card => card.classList.remove('highlighted'));
+        const card = resultsView.querySelector(`.result-item[data-index="${prediction.index}"]`);
+        if (card) {
+            card.classList.add('highlighted');
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    createResultCard(prediction) {
+        const resultItem = document.createElement('div');
+        resultItem.className = `result-item ${prediction.isExoplanet ? 'exoplanet' : 'not-exoplanet'}`;
+        resultItem.dataset.index = prediction.index;
+        
+        const title = document.createElement('div');
+        title.className = 'result-title';
+        title.textContent = this.getTitle(prediction);
+        const others = Object.entries(prediction.extra || {})
+            .filter(([, value]) => String(value).trim() !== '' && String(value).trim() !== title.textContent);
+        if (others.length > 0) {
+            const subtitle = document.createElement('small');
+            subtitle.textContent = others.map(([key, value]) => `${key} ${value}`).join(' · ');
+            title.appendChild(subtitle);
+        }
+        const badge = document.createElement('span');
+        badge.className = 'triage-badge';
+        this.renderTriageBadge(badge, prediction);
+        title.appendChild(badge);
+
+        // Clicking a card selects it for triage
+        resultItem.addEventListener('click', (e) => {
+            if (!e.target.closest('button')) {
+                this.selectForTriage(prediction);
+            }
+        });
+        
+        const label = document.createElement('div');
+        label.className = `result-label ${prediction.isExoplanet ? 'exoplanet' : 'not-exoplanet'}`;
+        label.textContent = prediction.isExoplanet ? '🌍 Exoplanet' : '⭐ Not Exoplanet';
+        
+        const confidence = document.createElement('div');
+        confidence.className = 'result-confidence';
+        confidence.textContent = `${(prediction.confidence * 100).toFixed(1)}% confidence`;
+        
+        // Add detailed info
+        const details = document.createElement('div');
+        details.className = 'result-details';
+        details.style.fontSize = '0.9rem';
+        details.style.color = '#666';
+        details.style.marginTop = '5px';
+        
+        const exoplanetProb = prediction.exoplanetProbability || 0;
+        const falsePositiveProb = prediction.falsePositiveProbability || 0;
+        
+        details.innerHTML = `
+            <div><strong>Model Prediction:</strong> ${prediction.isExoplanet ? 'CONFIRMED' : 'FALSE POSITIVE'}</div>
+            <div><strong>Exoplanet Probability:</strong> ${(exoplanetProb * 100).toFixed(1)}% | <strong>False Positive Probability:</strong> ${(falsePositiveProb * 100).toFixed(1)}%</div>
+            <div><strong>Key Values:</strong> Period: ${this.formatValue(prediction.data.koi_period)} | Depth: ${this.formatValue(prediction.data.koi_depth)} | SNR: ${this.formatValue(prediction.data.koi_model_snr)}</div>
+        `;
+        
+        // Feature contributions are fetched on demand, one candidate at a time
+        const explainBtn = document.createElement('button');
+        explainBtn.className = 'explain-btn';
+        explainBtn.textContent = '🔍 Explain';
+        const explanation = document.createElement('div');
+        explanation.className = 'explanation';
+        explanation.style.display = 'none';
+        explainBtn.addEventListener('click', () => this.toggleExplanation(prediction, explanation, explainBtn));
+        
+        // Nearest catalogued objects, when the server has a reference catalog
+        const similarBtn = document.createElement('button');
+        similarBtn.className = 'explain-btn';
+        similarBtn.textContent = '🔭 Similar objects';
+        const similar = document.createElement('div');
+        similar.className = 'explanation similar-objects';
+        similar.style.display = 'none';
+        similarBtn.addEventListener('click', () => this.toggleSimilar(prediction, similar, similarBtn));
+        
+        resultItem.appendChild(title);
+        resultItem.appendChild(label);
+        resultItem.appendChild(confidence);
+        resultItem.appendChild(details);
+        resultItem.appendChild(explainBtn);
+        if (this.referenceCatalog && !this.isLocalInference()) {
+            resultItem.appendChild(similarBtn);
+        }
+        resultItem.appendChild(explanation);
+        resultItem.appendChild(similar);
+        return resultItem;
+    }
+
+    async toggleExplanation(prediction, container, button) {
+        if (container.style.display !== 'none') {
+            container.style.display = 'none';
+            button.textContent = '🔍 Explain';
+            return;
+        }
+
+        container.style.display = 'block';
+        button.textContent = '🔼 Hide explanation';
+
+        if (!prediction.explanation) {
+            container.innerHTML = '<p class="explanation-loading">Tracing decision paths through the forest...</p>';
+            try {
+                prediction.explanation = await this.getExplanation(prediction.data, prediction.model);
+            } catch (error) {
+                container.innerHTML = `<p class="explanation-error">❌ ${Markup.escapeHTML(error.message)}</p>`;
+                return;
+            }
+        }
+        this.renderExplanation(container, prediction.explanation);
+    }
+
+    async toggleSimilar(prediction, container, button) {
+        if (container.style.display !== 'none') {
+            container.style.display = 'none';
+            button.textContent = '🔭 Similar objects';
+            return;
+        }
+
+        container.style.display = 'block';
+        button.textContent = '🔼 Hide similar objects';
+
+        if (!prediction.similar) {
+            container.innerHTML = `<p class="explanation-loading">Searching ${this.referenceCatalog.size} catalogued objects...</p>`;
+            try {
+                prediction.similar = await this.getSimilar(prediction.data, prediction.model, this.identifiersOf(prediction));
+            } catch (error) {
+                container.innerHTML = `<p class="explanation-error">❌ ${Markup.escapeHTML(error.message)}</p>`;
+                return;
+            }
+        }
+        this.renderSimilar(container, prediction, prediction.similar);
+    }
+
+    // The row's identifier values from the uploaded file, so the server can leave the object itself out
+    identifiersOf(prediction) {
+        const row = prediction.source || prediction.extra || {};
+        const identifiers = {};
+        (this.schema.identifiers || []).forEach(column => {
+            if (row[column] !== undefined && String(row[column]).trim() !== '') {
+                identifiers[column] = row[column];
+            }
+        });
+        return identifiers;
+    }
+
+    async getSimilar(row, model, identifiers) {
+        const response = await fetch(this.similarUrl, {
+            method: 'POST',
+            headers: this.authHeaders({
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify({ data: [row], identifiers: [identifiers], model: model, k: 5 })
+        });
+        this.checkAuthResponse(response);
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Similar-object lookup failed');
+        }
+        return result.results[0];
+    }
+
+    renderSimilar(container, prediction, similar) {
+        const neighbours = similar.neighbours;
+        const confirmed = neighbours.filter(match => match.is_exoplanet === 1).length;
+        const falsePositives = neighbours.filter(match => match.is_exoplanet === 0).length;
+        const name = (match) => {
+            const identifiers = this.schema.identifiers || Object.keys(match.identifiers);
+            const key = identifiers.find(column => match.identifiers[column] !== null && match.identifiers[column] !== undefined);
+            return key ? String(match.identifiers[key]) : '—';
+        };
+        const verdict = (match) => (match.is_exoplanet === 1 ? '🌍' : match.is_exoplanet === 0 ? '⭐' : '❔');
+
+        const rows = neighbours.map(match => `
+            <tr class="${match.is_exoplanet === 1 ? 'exoplanet' : match.is_exoplanet === 0 ? 'not-exoplanet' : ''}">
+                <td>${Markup.escapeHTML(name(match))}</td>
+                <td>${verdict(match)} ${Markup.escapeHTML(match.disposition)}</td>
+                <td>${this.formatValue(match.distance, 2)}</td>
+                <td>${this.formatValue(match.features.koi_period)}</td>
+                <td>${this.formatValue(match.features.koi_prad)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <p class="explanation-baseline">
+                ${confirmed} of the ${neighbours.length} nearest catalogued objects are confirmed planets and ${falsePositives} are false positives;
+                the model gives this candidate <strong>${(prediction.exoplanetProbability * 100).toFixed(1)}%</strong>.
+            </p>
+            <table class="similar-table">
+                <tr><th>Object</th><th>Disposition</th><th>Distance</th><th>Period (d)</th><th>Radius (R⊕)</th></tr>
+                ${rows}
+            </table>
+            <p class="similar-note">Distance is measured over the model's standardized features, skipping missing values.${similar.excluded ? ` ${similar.excluded === 1 ? 'This object\'s own catalog entry is' : `${similar.excluded} catalog entries sharing this object's identifier are`} left out.` : ''}</p>
+        `;
+    }
+
+    async getExplanation(row, model) {
+        if (this.isLocalInference()) {
+            return (await this.ensureLocalModel(model)).explain(row);
+        }
+
+        const response = await fetch(this.explainUrl, {
+            method: 'POST',
+            headers: this.authHeaders({
+                'Content-Type': 'application/json',
+            }),
+            body: JSON.stringify({ data: [row], model: model })
+        });
+        this.checkAuthResponse(response);
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Explanation failed');
+        }
+
+        return {
+            bias: result.bias,
+            exoplanetProbability: result.explanations[0].exoplanet_probability,
+            contributions: result.explanations[0].contributions,
+            featureImportances: result.feature_importances
+        };
+    }
+
+    renderExplanation(container, explanation) {
+        const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+        const contributions = Object.entries(explanation.contributions)
+            .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]));
+        const maxContribution = Math.max(...contributions.map(([, value]) => Math.abs(value)), 1e-9);
+
+        // Diverging bars: left of centre pushes toward FALSE POSITIVE, right toward CONFIRMED
+        const contributionBars = contributions.map(([feature, value]) => {
+            const width = (Math.abs(value) / maxContribution) * 50;
+            const style = value >= 0 ? `left: 50%; width: ${width}%;` : `left: ${50 - width}%; width: ${width}%;`;
+            return `
+                <div class="bar-row">
+                    <span class="bar-label">${feature}</span>
+                    <div class="bar-track diverging">
+                        <div class="bar ${value >= 0 ? 'positive' : 'negative'}" style="${style}"></div>
+                    </div>
+                    <span class="bar-value">${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}</span>
+                </div>
+            `;
+        }).join('');
+
+        const importances = Object.entries(explanation.featureImportances).sort((a, b) => b[1] - a[1]);
+        const maxImportance = Math.max(...importances.map(([, value]) => value), 1e-9);
+        const importanceBars = importances.map(([feature, value]) => `
+            <div class="bar-row">
+                <span class="bar-label">${feature}</span>
+                <div class="bar-track">
+                    <div class="bar importance" style="width: ${(value / maxImportance) * 100}%;"></div>
+                </div>
+                <span class="bar-value">${percent(value)}</span>
+            </div>
+        `).join('');
+
+        container.innerHTML = `
+            <details open>
+                <summary>Feature contributions for this candidate</summary>
+                <p class="explanation-baseline">
+                    Forest base rate <strong>${percent(explanation.bias)}</strong>
+                    → exoplanet probability <strong>${percent(explanation.exoplanetProbability)}</strong>
+                    (percentage points per feature)
+                </p>
+                <div class="bar-legend"><span>◀ FALSE POSITIVE</span><span>CONFIRMED ▶</span></div>
+                ${contributionBars}
+            </details>
+            <details>
+                <summary>Global feature importance (whole model)</summary>
+                ${importanceBars}
+            </details>
+        `;
+    }
+
+    buildTableColumns(predictions) {
+        const percent = (value) => Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : '—';
+        const columns = [
+            {
+                key: 'index',
+                label: '#',
+                value: p => p.index,
+                format: value => `#${value}`,
+                searchable: true
+            },
+            ...(predictions.some(p => this.getIdentifier(p)) ? [{
+                key: 'object',
+                label: 'Object',
+                aliases: ['name', 'id'],
+                value: p => this.getIdentifier(p),
+                format: value => value || '—',
+                searchable: true
+            }] : []),
+            {
+                key: 'tag',
+                label: 'Tag',
+                aliases: ['triage'],
+                value: p => (p.triage ? p.triage.tag : null),
+                format: value => (value ? Triage.find(value).label : ''),
+                className: p => (p.triage && p.triage.tag ? `triage-cell ${p.triage.tag}` : ''),
+                searchable: true
+            },
+            {
+                key: 'note',
+                label: 'Note',
+                value: p => (p.triage && p.triage.note ? p.triage.note : null),
+                format: value => value || '',
+                searchable: true
+            },
+            {
+                key: 'prediction',
+                label: 'Prediction',
+                value: p => (p.isExoplanet ? 1 : 0),
+                format: value => (value ? '🌍 Exoplanet' : '⭐ Not Exoplanet'),
+                className: p => (p.isExoplanet ? 'exoplanet' : 'not-exoplanet'),
+                searchable: true
+            },
+            {
+                key: 'exoplanetProbability',
+                label: 'Exoplanet Prob.',
+                aliases: ['exoplanet probability', 'probability', 'prob'],
+                value: p => p.exoplanetProbability,
+                format: percent
+            },
+            {
+                key: 'falsePositiveProbability',
+                label: 'False Positive Prob.',
+                aliases: ['false positive probability', 'fp probability'],
+                value: p => p.falsePositiveProbability,
+                format: percent
+            },
+            {
+                key: 'confidence',
+                label: 'Confidence',
+                value: p => p.confidence,
+                format: percent
+            }
+        ];
+
+        // Second-model columns when a comparison has been run
+        if (predictions.some(p => p.comparison)) {
+            const name = this.getModelName(predictions.find(p => p.comparison).comparison.model);
+            columns.push(
+                {
+                    key: 'comparisonProbability',
+                    label: `${name} Prob.`,
+                    aliases: ['comparison probability', 'other probability'],
+                    value: p => (p.comparison ? p.comparison.exoplanetProbability : NaN),
+                    format: percent
+                },
+                {
+                    key: 'agree',
+                    label: 'Models Agree',
+                    aliases: ['agreement'],
+                    value: p => (p.comparison ? Number(p.comparison.isExoplanet === p.isExoplanet) : NaN),
+                    format: value => (Number.isFinite(value) ? (value ? '✔' : '✖ disagree') : '—'),
+                    searchable: true
+                }
+            );
+        }
+
+        // Pass-through columns, searchable as text and filterable when numeric
+        const extraColumns = predictions.length > 0 ? Object.keys(predictions[0].extra || {}) : [];
+        extraColumns.forEach(column => {
+            columns.push({
+                key: `extra:${column}`,
+                label: column,
+                aliases: [column],
+                value: p => {
+                    const value = (p.extra || {})[column];
+                    if (value === undefined || value === null || String(value).trim() === '') return null;
+                    return Number.isFinite(Number(value)) ? Number(value) : String(value);
+                },
+                format: value => (value === null ? '—' : String(value)),
+                searchable: true
+            });
+        });
+
+        // One column per input feature (and the ground truth label, if any)
+        const inputColumns = predictions.length > 0 ? Object.keys(predictions[0].data) : [];
+        inputColumns.forEach(column => {
+            columns.push({
+                key: column,
+                label: column,
+                value: p => {
+                    const value = p.data[column];
+                    return typeof value === 'number' ? value : parseFloat(value);
+                },
+                format: value => this.formatValue(value, 4)
+            });
+        });
+
+        return columns;
+    }
+
+    reviewColumnMapping(mapper, headers, rows) {
+        const presetName = mapper.findPreset(headers);
+        const presets = mapper.loadPresets();
+        let mapping = presetName ? mapper.fromPreset(presets[presetName]) : mapper.suggest(headers, rows);
+
+        // Files that already use the model's column names and units go straight through,
+        // unless they carry other columns the user hasn't had a chance to keep yet
+        if (mapper.isIdentity(mapping)) {
+            const leftover = mapper.leftover(headers, mapping);
+            if (presetName || leftover.every(header => mapping.extras.includes(header))) {
+                return Promise.resolve(mapping);
+            }
+            return this.reviewExtraColumns(mapper, mapping, leftover);
+        }
+
+        const resultsContainer = document.getElementById('resultsContainer');
+        const panel = document.createElement('div');
+        panel.className = 'quality-report column-mapping';
+        resultsContainer.appendChild(panel);
+
+        const sample = rows.find(row => headers.some(header => String(row[header] || '').trim() !== '')) || {};
+        const headerOptions = (selected) => ['<option value="">— not mapped —</option>']
+            .concat(headers.map(header => `<option value="${Markup.escapeHTML(header)}" ${header === selected ? 'selected' : ''}>${Markup.escapeHTML(header)}</option>`))
+            .join('');
+
+        // Shown once above the table, e.g. which preset was used or why one doesn't fit; the next change clears it
+        let notice = presetName ? { text: `📋 Applied your saved preset "${presetName}". Check the mapping, then continue.` } : null;
+        const render = () => {
+            const message = notice;
+            notice = null;
+            const presetNames = Object.keys(mapper.loadPresets());
+            const leftover = mapper.leftover(headers, mapping);
+            mapping.extras = (mapping.extras || []).filter(header => leftover.includes(header));
+            const unmapped = this.schema.features.filter(feature => !mapping.features[feature.name].source);
+            const unconfirmed = mapper.unconfirmed(mapping);
+
+            const tableRows = this.schema.features.map(feature => {
+                const entry = mapping.features[feature.name];
+                const units = feature.units || [];
+                const unitSelect = units.length > 0
+                    ? `<select class="mapping-unit" data-feature="${feature.name}" ${entry.source ? '' : 'disabled'}>${units
+                        .map(unit => `<option value="${unit.id}" ${unit.id === entry.unit ? 'selected' : ''}>${Markup.escapeHTML(unit.label)}</option>`)
+                        .join('')}</select>`
+                    : Markup.escapeHTML(feature.unit || '—');
+                const preview = entry.source
+                    ? `${Markup.escapeHTML(sample[entry.source])} → ${Markup.escapeHTML(mapper.convert(sample[entry.source], mapper.findUnit(feature, entry.unit)))}`
+                    : '—';
+                // Close-but-different measurements are only used once the user ticks them off
+                const approximation = entry.source && entry.approximate ? `
+                    <div class="mapping-approximate">⚠️ ${Markup.escapeHTML(entry.approximate)}
+                        <label><input type="checkbox" class="mapping-confirm" data-feature="${feature.name}" ${entry.confirmed ? 'checked' : ''}> Use as an approximation</label>
+                    </div>
+                ` : '';
+                return `
+                    <tr class="${entry.source ? (entry.approximate && !entry.confirmed ? 'approximate' : '') : 'unmapped'}">
+                        <td><strong>${feature.name}</strong><br><small>${Markup.escapeHTML(feature.label)}</small></td>
+                        <td><select class="mapping-source" data-feature="${feature.name}">${headerOptions(entry.source)}</select></td>
+                        <td>${unitSelect}</td>
+                        <td>${preview}</td>
+                        <td><small>${Markup.escapeHTML(entry.source ? entry.reason : 'no column selected')}</small>${approximation}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            panel.innerHTML = `
+                <h3>🧭 Column Mapping</h3>
+                <p>Some columns don't use the model's names or units. Check the suggested matches below, pick a different column or unit where needed, then continue.</p>
+                <div class="mapping-presets">
+                    <select class="preset-select">
+                        <option value="">Saved presets...</option>
+                        ${presetNames.map(name => `<option value="${Markup.escapeHTML(name)}">${Markup.escapeHTML(name)}</option>`).join('')}
+                    </select>
+                    <button class="secondary-btn preset-apply" ${presetNames.length ? '' : 'disabled'}>Apply</button>
+                    <button class="secondary-btn preset-delete" ${presetNames.length ? '' : 'disabled'}>Delete</button>
+                    <input type="text" class="preset-name" placeholder="Preset name, e.g. TESS TOI">
+                    <button class="secondary-btn preset-save">💾 Save mapping</button>
+                </div>
+                ${message ? `<p class="mapping-notice${message.warning ? ' warning' : ''}">${Markup.escapeHTML(message.text)}</p>` : ''}
+                <div class="table-scroll">
+                    <table class="quality-table mapping-table">
+                        <thead>
+                            <tr><th>Model feature</th><th>Source column</th><th>Source unit</th><th>First row</th><th>Why</th></tr>
+                        </thead>
+                        <tbody>${tableRows}</tbody>
+                    </table>
+                </div>
+                <p><strong>Ground truth column:</strong>
+                    <select class="mapping-label">${headerOptions(mapping.label).replace('— not mapped —', '— none —')}</select>
+                </p>
+                ${leftover.length ? this.extraColumnsHTML(leftover, mapping.extras) : '<p class="mapping-dropped">Every column in the file is used.</p>'}
+                <p class="quality-outcome">${this.schema.features.length - unmapped.length} of ${this.schema.features.length} features mapped${unmapped.length ? ` · unmapped features arrive empty and can be handled in the data-quality step` : ''}${unconfirmed.length ? ` · confirm or change the approximate ${unconfirmed.map(feature => feature.name).join(', ')} to continue` : ''}</p>
+                <div class="quality-actions">
+                    <button class="predict-btn mapping-continue" ${unconfirmed.length ? 'disabled' : ''}>Continue</button>
+                    <button class="secondary-btn mapping-cancel">Cancel</button>
+                </div>
+            `;
+
+            panel.querySelectorAll('.mapping-source').forEach(select => {
+                select.addEventListener('change', () => {
+                    const feature = this.schema.features.find(f => f.name === select.dataset.feature);
+                    const source = select.value || null;
+                    const unit = source ? mapper.suggestUnit(feature, source, rows) : { id: null, reason: '' };
+                    mapping.features[feature.name] = {
+                        source: source,
+                        unit: unit.id,
+                        reason: ['chosen by you', unit.reason].filter(Boolean).join('; '),
+                        approximate: mapper.approximationFor(feature, source)
+                    };
+                    render();
+                });
+            });
+            panel.querySelectorAll('.mapping-unit').forEach(select => {
+                select.addEventListener('change', () => {
+                    mapping.features[select.dataset.feature].unit = select.value;
+                    render();
+                });
+            });
+            panel.querySelectorAll('.mapping-confirm').forEach(checkbox => {
+                checkbox.addEventListener('change', () => {
+                    mapping.features[checkbox.dataset.feature].confirmed = checkbox.checked;
+                    render();
+                });
+            });
+            panel.querySelector('.mapping-label').addEventListener('change', (e) => {
+                mapping.label = e.target.value || null;
+                render();
+            });
+            panel.querySelectorAll('.mapping-extra').forEach(checkbox => {
+                checkbox.addEventListener('change', () => {
+                    mapping.extras = [...panel.querySelectorAll('.mapping-extra:checked')].map(input => input.value);
+                });
+            });
+
+            panel.querySelector('.preset-apply').addEventListener('click', () => {
+                const name = panel.querySelector('.preset-select').value;
+                const preset = mapper.loadPresets()[name];
+                if (!preset) return;
+                if (!mapper.presetFits(preset, headers)) {
+                    notice = { text: `Preset "${name}" uses columns that are not in this file. Pick another preset or map the columns below.`, warning: true };
+                    render();
+                    return;
+                }
+                mapping = mapper.fromPreset(preset);
+                notice = { text: `📋 Applied preset "${name}".` };
+                render();
+            });
+            panel.querySelector('.preset-delete').addEventListener('click', () => {
+                const name = panel.querySelector('.preset-select').value;
+                if (!name) return;
+                mapper.deletePreset(name);
+                render();
+            });
+            panel.querySelector('.preset-save').addEventListener('click', () => {
+                const name = panel.querySelector('.preset-name').value.trim();
+                if (!name) return;
+                mapper.savePreset(name, mapping);
+                notice = { text: `💾 Saved preset "${name}"; files with these columns will use it automatically.` };
+                render();
+            });
+
+            panel.querySelector('.mapping-continue').addEventListener('click', () => resolveMapping(mapping));
+            panel.querySelector('.mapping-cancel').addEventListener('click', () => resolveMapping(null));
+        };
+
+        let resolveMapping;
+        const result = new Promise(resolve => {
+            resolveMapping = resolve;
+        });
+        render();
+        return result;
+    }
+
+    extraColumnsHTML(leftover, extras) {
+        return `
+            <div class="mapping-extras">
+                <strong>Keep with the results</strong> <small>(shown, searchable and exported, never sent to the model):</small>
+                ${leftover.map(header => `
+                    <label><input type="checkbox" class="mapping-extra" value="${Markup.escapeHTML(header)}" ${extras.includes(header) ? 'checked' : ''}> ${Markup.escapeHTML(header)}</label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Compact picker for files whose features need no mapping but that carry other columns
+    reviewExtraColumns(mapper, mapping, leftover) {
+        const resultsContainer = document.getElementById('resultsContainer');
+        const panel = document.createElement('div');
+        panel.className = 'quality-report column-mapping';
+        panel.innerHTML = `
+            <h3>🧭 Extra Columns</h3>
+            <p>Every model feature was found under its own name. Tick any other columns you want to keep with the results, then continue.</p>
+            ${this.extraColumnsHTML(leftover, mapping.extras)}
+            <div class="mapping-presets">
+                <input type="text" class="preset-name" placeholder="Preset name, e.g. KOI cumulative">
+                <button class="secondary-btn preset-save">💾 Save and don't ask again</button>
+            </div>
+            <div class="quality-actions">
+                <button class="predict-btn mapping-continue">Continue</button>
+                <button class="secondary-btn mapping-cancel">Cancel</button>
+            </div>
+        `;
+        resultsContainer.appendChild(panel);
+
+        const readExtras = () => {
+            mapping.extras = [...panel.querySelectorAll('.mapping-extra:checked')].map(input => input.value);
+        };
+        panel.querySelector('.preset-save').addEventListener('click', (e) => {
+            const name = panel.querySelector('.preset-name').value.trim();
+            if (!name) return;
+            readExtras();
+            mapper.savePreset(name, mapping);
+            e.target.textContent = '✅ Saved';
+        });
+
+        return new Promise(resolve => {
+            panel.querySelector('.mapping-continue').addEventListener('click', () => {
+                readExtras();
+                resolve(mapping);
+            });
+            panel.querySelector('.mapping-cancel').addEventListener('click', () => resolve(null));
+        });
+    }
+
+    reviewDataQuality(rows, lines) {
+        const requiredColumns = this.featureNames;
+        const report = this.validator.analyze(rows, lines, requiredColumns);
+
+        if (!report.hasIssues) {
+            return Promise.resolve(this.validator.apply(report, this.columnPolicies));
+        }
+
+        const resultsContainer = document.getElementById('resultsContainer');
+        const problemColumns = requiredColumns.filter(col => report.columns[col].issues.length > 0);
+        const affectedRows = report.cells.filter(row => Object.values(row).some(cell => cell.issue)).length;
+        const policyNames = DataValidator.POLICIES;
+
+        const tableRows = problemColumns.map(column => {
+            const stats = report.columns[column];
+            const selected = this.columnPolicies[column] || 'median';
+            const options = Object.keys(policyNames)
+                .map(key => `<option value="${key}" ${key === selected ? 'selected' : ''}>${policyNames[key]}</option>`)
+                .join('');
+            return `
+                <tr>
+                    <td><strong>${column}</strong></td>
+                    <td>${this.validator.describeRule(column)}</td>
+                    <td>${stats.empty}</td>
+                    <td>${stats.nonNumeric}</td>
+                    <td>${stats.outOfRange}</td>
+                    <td>${stats.median === null ? '—' : stats.median.toFixed(3)}</td>
+                    <td><select class="policy-select" data-column="${column}">${options}</select></td>
+                </tr>
+            `;
+        }).join('');
+
+        // Listing every bad cell of a huge file would freeze the page
+        const maxListed = 500;
+        const issueItems = problemColumns
+            .flatMap(column => report.columns[column].issues.map(issue => ({ column, ...issue })))
+            .sort((a, b) => a.line - b.line);
+        const issueList = issueItems.slice(0, maxListed)
+            .map(item => `<li><strong>Line ${item.line}:</strong> ${item.column} — ${Markup.escapeHTML(this.validator.describeIssue(item.column, item.issue, item.value))}</li>`)
+            .join('');
+
+        const panel = document.createElement('div');
+        panel.className = 'quality-report';
+        panel.innerHTML = `
+            <h3>🧪 Data Quality Report</h3>
+            <p>${affectedRows} of ${report.totalRows} rows contain ${report.invalidCells} empty, non-numeric or out-of-range values. Choose how each column should be handled before prediction runs.</p>
+            <div class="table-scroll">
+                <table class="quality-table">
+                    <thead>
+                        <tr><th>Column</th><th>Valid range</th><th>Empty</th><th>Non-numeric</th><th>Out of range</th><th>Median</th><th>Policy</th></tr>
+                    </thead>
+                    <tbody>${tableRows}</tbody>
+                </table>
+            </div>
+            <details>
+                <summary>Show invalid cells${issueItems.length > maxListed ? ` (first ${maxListed} of ${issueItems.length})` : ''}</summary>
+                <ul class="skipped-rows">${issueList}</ul>
+            </details>
+            <p class="quality-outcome"></p>
+            <div class="quality-actions">
+                <button class="predict-btn quality-continue">🔮 Continue to Prediction</button>
+                <button class="secondary-btn quality-cancel">Cancel</button>
+            </div>
+        `;
+        resultsContainer.appendChild(panel);
+
+        const outcome = panel.querySelector('.quality-outcome');
+        const updateOutcome = () => {
+            const preview = this.validator.apply(report, this.columnPolicies);
+            outcome.textContent = `${preview.rows.length} rows will be sent to the model · ${preview.rejected.length} rejected · ${preview.imputed} values imputed · ${preview.leftNaN} left as NaN`;
+        };
+
+        panel.querySelectorAll('.policy-select').forEach(select => {
+            this.columnPolicies[select.dataset.column] = select.value;
+            select.addEventListener('change', () => {
+                this.columnPolicies[select.dataset.column] = select.value;
+                updateOutcome();
+            });
+        });
+        updateOutcome();
+
+        return new Promise(resolve => {
+            panel.querySelector('.quality-continue').addEventListener('click', () => {
+                resolve(this.validator.apply(report, this.columnPolicies));
+            });
+            panel.querySelector('.quality-cancel').addEventListener('click', () => resolve(null));
+        });
+    }
+
+    async saveRun(predictions, modelId, compareId) {
+        try {
+            this.currentRunId = await this.history.save({
+                fileName: this.selectedFile.name,
+                fileHash: this.currentFileHash,
+                model: modelId,
+                modelName: this.getModelName(modelId),
+                compareModel: compareId && compareId !== modelId ? compareId : null,
+                timestamp: new Date().toISOString(),
+                rowCount: predictions.length,
+                exoplanetCount: predictions.filter(p => p.isExoplanet).length,
+                threshold: this.threshold,
+                hasGroundTruth: this.hasGroundTruth,
+                metrics: this.calculateAccuracy(predictions),
+                triage: this.triage.counts()
+            }, predictions);
+            await this.refreshHistory();
+        } catch (error) {
+            // History is a convenience; a blocked or full IndexedDB must not fail the run
+            console.warn('⚠️ Could not save run to history:', error);
+        }
+    }
+
+    async refreshHistory() {
+        const list = document.getElementById('historyList');
+        let runs;
+        try {
+            runs = await this.history.list();
+        } catch (error) {
+            console.warn('⚠️ Run history unavailable:', error);
+            list.innerHTML = '<li class="history-empty">Run history is not available in this browser.</li>';
+            return;
+        }
+
+        // Forget selections of runs that were pruned or deleted
+        const ids = new Set(runs.map(run => run.id));
+        this.selectedRuns.forEach(id => {
+            if (!ids.has(id)) this.selectedRuns.delete(id);
+        });
+        this.runs = runs;
+
+        if (runs.length === 0) {
+            list.innerHTML = '<li class="history-empty">No runs yet. Predictions you run are kept here.</li>';
+        } else {
+            list.innerHTML = runs.map(run => `
+                <li class="history-item ${this.selectedRuns.has(run.id) ? 'selected' : ''}" data-id="${run.id}">
+                    <label class="history-select">
+                        <input type="checkbox" ${this.selectedRuns.has(run.id) ? 'checked' : ''} aria-label="Select run for comparison">
+                    </label>
+                    <div class="history-details">
+                        <strong>${Markup.escapeHTML(run.fileName)}</strong>
+                        <span>${Markup.escapeHTML(run.modelName || run.model)} · ${new Date(run.timestamp).toLocaleString()}</span>
+                        <span>${run.rowCount} rows · ${run.exoplanetCount} exoplanets${run.metrics ? ` · ${(run.metrics.accuracy * 100).toFixed(1)}% accuracy` : ''}</span>
+                        ${run.triage && Triage.TAGS.some(tag => run.triage[tag.id]) ? `<span>${Triage.TAGS.filter(tag => run.triage[tag.id]).map(tag => `${tag.label} ${run.triage[tag.id]}`).join(' · ')}</span>` : ''}
+                        <span class="history-hash" title="SHA-256 of the file (sampled for files over 8 MB)">#${run.fileHash.slice(0, 8)}</span>
+                    </div>
+                    <div class="history-actions">
+                        <button class="secondary-btn history-open">Open</button>
+                        <button class="secondary-btn history-delete" title="Delete run">🗑</button>
+                    </div>
+                </li>
+            `).join('');
+        }
+
+        list.querySelectorAll('.history-item').forEach(item => {
+            const id = Number(item.dataset.id);
+            item.querySelector('input[type="checkbox"]').addEventListener('change', (e) => {
+                if (e.target.checked) this.selectedRuns.add(id);
+                else this.selectedRuns.delete(id);
+                item.classList.toggle('selected', e.target.checked);
+                this.updateHistoryCompare();
+            });
+            item.querySelector('.history-open').addEventListener('click', () => this.openRun(id));
+            item.querySelector('.history-delete').addEventListener('click', async () => {
+                await this.history.delete(id);
+                this.selectedRuns.delete(id);
+                await this.refreshHistory();
+            });
+        });
+        this.updateHistoryCompare();
+    }
+
+    updateHistoryCompare() {
+        const button = document.getElementById('historyCompare');
+        const hint = document.getElementById('historyHint');
+        const selected = this.runs.filter(run => this.selectedRuns.has(run.id));
+
+        button.disabled = true;
+        if (selected.length !== 2) {
+            hint.textContent = 'Select two runs of the same file to compare them.';
+        } else if (selected[0].fileHash !== selected[1].fileHash) {
+            hint.textContent = 'The selected runs are of different files and cannot be compared row by row.';
+        } else {
+            hint.textContent = 'Ready to compare the selected runs.';
+            button.disabled = false;
+        }
+    }
+
+    async openRun(id) {
+        const run = await this.history.get(id);
+        if (!run) {
+            this.showError('That run is no longer in the history.');
+            await this.refreshHistory();
+            return;
+        }
+
+        // Restore the state the results panels read from
+        this.hasGroundTruth = run.hasGroundTruth;
+        this.threshold = run.threshold;
+        this.currentFileName = run.fileName;
+        this.currentFileHash = run.fileHash;
+        this.currentRunId = id;
+
+        const resultsContainer = document.getElementById('resultsContainer');
+        document.getElementById('resultsSection').style.display = 'block';
+        resultsContainer.innerHTML = `
+            <div class="history-banner">
+                📂 Reopened run of <strong>${Markup.escapeHTML(run.fileName)}</strong> with ${Markup.escapeHTML(run.modelName || run.model)}
+                from ${new Date(run.timestamp).toLocaleString()}
+            </div>
+        `;
+        this.displayResults(run.predictions);
+        document.getElementById('historySidebar').classList.remove('open');
+        console.log(`📂 Reopened run ${id}: ${run.fileName}`);
+    }
+
+    async compareRuns(ids) {
+        const runs = await Promise.all(ids.map(id => this.history.get(id)));
+        if (runs.some(run => !run)) {
+            this.showError('One of the selected runs is no longer in the history.');
+            await this.refreshHistory();
+            return;
+        }
+
+        // Always diff older -> newer so "before/after" reads naturally
+        const [before, after] = runs.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        const diff = RunHistory.diff(before, after);
+        const percent = (value) => `${(value * 100).toFixed(1)}%`;
+        const describe = (run) => `${Markup.escapeHTML(run.modelName || run.model)} · ${new Date(run.timestamp).toLocaleString()}`;
+
+        this.hasGroundTruth = before.hasGroundTruth;
+        const truth = (pair) => {
+            if (!before.hasGroundTruth) return '';
+            const value = this.getGroundTruth(pair.before.data);
+            return `<td>${value === 1 ? '🌍' : value === 0 ? '⭐' : '—'}</td>`;
+        };
+        const row = (pair) => `
+            <tr>
+                <td>${pair.line}${this.getIdentifier(pair.after) ? ` · ${Markup.escapeHTML(this.getIdentifier(pair.after))}` : ''}</td>
+                <td>${pair.before.isExoplanet ? '🌍' : '⭐'} ${percent(pair.before.exoplanetProbability)}</td>
+                <td>${pair.after.isExoplanet ? '🌍' : '⭐'} ${percent(pair.after.exoplanetProbability)}</td>
+                <td class="${pair.delta > 0 ? 'delta-up' : pair.delta < 0 ? 'delta-down' : ''}">${pair.delta > 0 ? '+' : ''}${(pair.delta * 100).toFixed(1)} pts</td>
+                ${truth(pair)}
+            </tr>
+        `;
+        const head = `<tr><th>Line</th><th>Before</th><th>After</th><th>Δ probability</th>${before.hasGroundTruth ? '<th>Truth</th>' : ''}</tr>`;
+
+        // Long lists are capped so a full-catalog diff stays responsive
+        const maxListed = 200;
+        const moversShown = diff.movers.filter(pair => pair.delta !== 0).slice(0, 20);
+
+        document.getElementById('resultsSection').style.display = 'block';
+        document.getElementById('resultsContainer').innerHTML = `
+            <div class="run-diff">
+                <h3>🔀 Run Comparison: ${Markup.escapeHTML(after.fileName)}</h3>
+                <p><strong>Before:</strong> ${describe(before)}<br><strong>After:</strong> ${describe(after)}</p>
+                <div class="threshold-metrics">
+                    <div class="metric"><span>Rows matched</span><strong>${diff.pairs.length}</strong></div>
+                    <div class="metric"><span>Labels flipped</span><strong>${diff.flipped.length}</strong></div>
+                    <div class="metric"><span>⭐ → 🌍</span><strong>${diff.toExoplanet}</strong></div>
+                    <div class="metric"><span>🌍 → ⭐</span><strong>${diff.toNotExoplanet}</strong></div>
+                    <div class="metric"><span>Mean |Δ probability|</span><strong>${percent(diff.meanAbsDelta)}</strong></div>
+                </div>
+                ${diff.onlyBefore.length || diff.onlyAfter.length ? `<p class="run-diff-note">${diff.onlyBefore.length} rows appear only in the earlier run and ${diff.onlyAfter.length} only in the later one (e.g. rejected or failed rows).</p>` : ''}
+                <h4>Flipped labels${diff.flipped.length > maxListed ? ` (first ${maxListed} of ${diff.flipped.length})` : ''}</h4>
+                ${diff.flipped.length ? `
+                    <div class="table-scroll">
+                        <table class="quality-table">${head}${diff.flipped.slice(0, maxListed).map(row).join('')}</table>
+                    </div>
+                ` : '<p>No candidate changed its label.</p>'}
+                <h4>Largest probability moves</h4>
+                ${moversShown.length ? `
+                    <div class="table-scroll">
+                        <table class="quality-table">${head}${moversShown.map(row).join('')}</table>
+                    </div>
+                ` : '<p>Probabilities are identical in both runs.</p>'}
+            </div>
+        `;
+        document.getElementById('historySidebar').classList.remove('open');
+    }
+
+    displaySkippedRows(skipped, description) {
+        if (!skipped || skipped.length === 0) return;
+
+        const resultsContainer = document.getElementById('resultsContainer');
+        const warning = document.createElement('div');
+        warning.className = 'warning-message';
+
+        const items = skipped
+            .map(row => `<li><strong>Line ${row.line}:</strong> ${Markup.escapeHTML(row.reason)}</li>`)
+            .join('');
+
+        warning.innerHTML = `
+            <h3>⚠️ ${skipped.length} row${skipped.length === 1 ? '' : 's'} ${description}</h3>
+            <details>
+                <summary>Show skipped rows</summary>
+                <ul class="skipped-rows">${items}</ul>
+            </details>
+        `;
+        resultsContainer.appendChild(warning);
+    }
+
+    // Server-side validation errors, grouped by row with the offending cells highlighted
+    // total is the server's error_count, which can exceed the errors it listed
+    displayValidationErrors(errors, cleaned, total) {
+        if (!errors || errors.length === 0) return;
+        total = Math.max(total || 0, errors.length);
+
+        const general = errors.filter(error => !error.row);
+        const byRow = new Map();
+        errors.filter(error => error.row).forEach(error => {
+            if (!byRow.has(error.row)) byRow.set(error.row, []);
+            byRow.get(error.row).push(error);
+        });
+        const rows = [...byRow.keys()].sort((a, b) => a - b);
+        const shownRows = rows.slice(0, 50);
+
+        const generalItems = general.map(error => `
+            <li class="validation-item">
+                <span class="validation-code">${Markup.escapeHTML(error.code)}</span>
+                ${error.column ? `<code>${Markup.escapeHTML(error.column)}</code>` : ''}
+                ${Markup.escapeHTML(error.message)}
+            </li>
+        `).join('');
+
+        const rowItems = shownRows.map(rowNumber => {
+            const rowErrors = byRow.get(rowNumber);
+            const row = cleaned.rows[rowNumber - 1] || {};
+            const badColumns = new Set(rowErrors.map(error => error.column));
+            const cells = this.featureNames.map(column => `
+                <td class="${badColumns.has(column) ? 'invalid-cell' : ''}">${Markup.escapeHTML(row[column] === undefined || row[column] === null ? '' : row[column])}</td>
+            `).join('');
+            return `
+                <li class="validation-item">
+                    <strong>Line ${cleaned.lines[rowNumber - 1] || '?'}</strong>
+                    <ul class="validation-messages">
+                        ${rowErrors.map(error => `
+                            <li><span class="validation-code">${Markup.escapeHTML(error.code)}</span>
+                            <code>${Markup.escapeHTML(error.column || '')}</code> ${Markup.escapeHTML(error.message)}</li>
+                        `).join('')}
+                    </ul>
+                    <div class="validation-row">
+                        <table>
+                            <thead><tr>${this.featureNames.map(column => `
+                                <th class="${badColumns.has(column) ? 'invalid-cell' : ''}">${Markup.escapeHTML(column)}</th>
+                            `).join('')}</tr></thead>
+                            <tbody><tr>${cells}</tr></tbody>
+                        </table>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        const panel = document.createElement('div');
+        panel.className = 'validation-errors';
+        panel.innerHTML = `
+            <h3>🚫 The server rejected ${total} value${total === 1 ? '' : 's'}</h3>
+            <p>Fix the highlighted cells in the file (or map the column differently) and run the prediction again.</p>
+            ${total > errors.length ? `<p class="validation-more">Only the first ${errors.length} problems are listed; the server reports ${total - errors.length} more by count only.</p>` : ''}
+            <ul class="validation-list">${generalItems}${rowItems}</ul>
+            ${rows.length > shownRows.length ? `<p class="validation-more">…and ${rows.length - shownRows.length} more rows</p>` : ''}
+        `;
+        document.getElementById('resultsContainer').appendChild(panel);
+    }
+
+    formatValue(value, digits = 3) {
+        return Number.isFinite(value) ? value.toFixed(digits) : '—';
+    }
+
+    updateLoadingText(message) {
+        const loadingText = document.querySelector('#loading p');
+        if (loadingText) {
+            loadingText.textContent = message;
+        }
     }
 
     showError(message) {
@@ -0,0 +1,107 @@
+class ThresholdAnalysis {
+    constructor(predictions, getGroundTruth) {
+        // Only rows with a usable 0/1 label take part in the curves
+        this.samples = predictions
+            .map(p => ({ probability: p.exoplanetProbability, truth: getGroundTruth(p.data) }))
+            .filter(s => (s.truth === 0 || s.truth === 1) && Number.isFinite(s.probability))
+            .sort((a, b) => b.probability - a.probability);
+
+        this.positives = this.samples.filter(s => s.truth === 1).length;
+        this.negatives = this.samples.length - this.positives;
+        this.roc = this.computeROC();
+        this.pr = this.computePR();
+    }
+
+    // Strictly above, like the server's predict() and ForestModel, so 0.5 reproduces their labels
+    static isPositive(probability, threshold) {
+        return probability > threshold;
+    }
+
+    confusionAt(threshold) {
+        let tp = 0, fp = 0, tn = 0, fn = 0;
+        this.samples.forEach(s => {
+            const predicted = ThresholdAnalysis.isPositive(s.probability, threshold);
+            if (predicted && s.truth === 1) tp++;
+            else if (predicted && s.truth === 0) fp++;
+            else if (!predicted && s.truth === 0) tn++;
+            else fn++;
+        });
+
+        const total = tp + fp + tn + fn;
+        const precision = tp / (tp + fp) || 0;
+        const recall = tp / (tp + fn) || 0;
+        return {
+            truePositives: tp,
+            falsePositives: fp,
+            trueNegatives: tn,
+            falseNegatives: fn,
+            total: total,
+            accuracy: total ? (tp + tn) / total : 0,
+            precision: precision,
+            recall: recall,
+            f1Score: 2 * (precision * recall) / (precision + recall) || 0,
+            falsePositiveRate: fp / (fp + tn) || 0
+        };
+    }
+
+    // Sweep the threshold down through every distinct probability
+    sweep() {
+        const points = [];
+        let tp = 0, fp = 0;
+        for (let i = 0; i < this.samples.length; i++) {
+            const s = this.samples[i];
+            if (s.truth === 1) tp++; else fp++;
+            const next = this.samples[i + 1];
+            if (!next || next.probability !== s.probability) {
+                points.push({ threshold: s.probability, tp: tp, fp: fp });
+            }
+        }
+        return points;
+    }
+
+    computeROC() {
+        const points = [{ x: 0, y: 0, threshold: 1 }];
+        this.sweep().forEach(p => {
+            points.push({
+                x: this.negatives ? p.fp / this.negatives : 0,
+                y: this.positives ? p.tp / this.positives : 0,
+                threshold: p.threshold
+            });
+        });
+
+        let auc = 0;
+        for (let i = 1; i < points.length; i++) {
+            auc += (points[i].x - points[i - 1].x) * (points[i].y + points[i - 1].y) / 2;
+        }
+        return { points: points, auc: auc };
+    }
+
+    computePR() {
+        const points = [];
+        let averagePrecision = 0;
+        let previousRecall = 0;
+        this.sweep().forEach(p => {
+            const recall = this.positives ? p.tp / this.positives : 0;
+            const precision = p.tp / (p.tp + p.fp);
+            points.push({ x: recall, y: precision, threshold: p.threshold });
+            averagePrecision += (recall - previousRecall) * precision;
+            previousRecall = recall;
+        });
+        if (points.length > 0) {
+            points.unshift({ x: 0, y: points[0].y, threshold: 1 });
+        }
+        return { points: points, auc: averagePrecision };
+    }
+
+    renderCurve(curve, options) {
+        return Markup.unitPlot(options, (sx, sy) => {
+            const path = curve.points
+                .map((p, i) => `${i === 0 ? 'M' : 'L'}${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`)
+                .join(' ');
+            const marker = options.marker
+                ? `<circle cx="${sx(options.marker.x)}" cy="${sy(options.marker.y)}" r="5" class="operating-point"/>`
+                : '';
+            return `<path d="${path}" class="curve"/>${marker}`;
+        });
+    }
+}
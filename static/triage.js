@@ -0,0 +1,101 @@
+class Triage {
+    constructor(predictions, options = {}) {
+        this.predictions = predictions;
+        this.onChange = options.onChange || (() => {});
+    }
+
+    // Keys are the keyboard shortcuts and the short codes used in shared links
+    static get TAGS() {
+        return [
+            { id: 'follow-up', key: 'f', label: '🔭 Follow-up' },
+            { id: 'reject', key: 'r', label: '🗑️ Reject' },
+            { id: 'unsure', key: 'u', label: '❓ Unsure' }
+        ];
+    }
+
+    static find(id) {
+        return Triage.TAGS.find(tag => tag.id === id) || null;
+    }
+
+    static lineOf(prediction) {
+        return prediction.line || prediction.index;
+    }
+
+    tagOf(prediction) {
+        return prediction.triage ? prediction.triage.tag : null;
+    }
+
+    setTag(prediction, tag) {
+        this.update(prediction, { tag: tag && Triage.find(tag) ? tag : null });
+    }
+
+    setNote(prediction, note) {
+        this.update(prediction, { note: note.trim() });
+    }
+
+    update(prediction, changes) {
+        const triage = { tag: null, note: '', ...prediction.triage, ...changes, updatedAt: new Date().toISOString() };
+        // Untagged rows without a note carry no triage state at all
+        prediction.triage = triage.tag || triage.note ? triage : null;
+        this.onChange(prediction);
+    }
+
+    counts() {
+        const counts = { untagged: 0, notes: 0 };
+        Triage.TAGS.forEach(tag => {
+            counts[tag.id] = 0;
+        });
+        this.predictions.forEach(prediction => {
+            const tag = this.tagOf(prediction);
+            counts[tag || 'untagged']++;
+            if (prediction.triage && prediction.triage.note) counts.notes++;
+        });
+        return counts;
+    }
+
+    // Tags by source line, e.g. "f:12,15-18;r:3"; notes are too long for a link and stay in the run
+    encode() {
+        return Triage.TAGS.map(tag => {
+            const lines = this.predictions
+                .filter(prediction => this.tagOf(prediction) === tag.id)
+                .map(prediction => Triage.lineOf(prediction))
+                .sort((a, b) => a - b);
+            if (lines.length === 0) return '';
+
+            const ranges = [];
+            lines.forEach(line => {
+                const last = ranges[ranges.length - 1];
+                if (last && line === last[1] + 1) last[1] = line;
+                else ranges.push([line, line]);
+            });
+            return `${tag.key}:${ranges.map(([from, to]) => (from === to ? from : `${from}-${to}`)).join(',')}`;
+        }).filter(Boolean).join(';');
+    }
+
+    // Applies encoded tags to the matching lines; returns how many rows were tagged
+    apply(encoded) {
+        const ranges = [];
+        (encoded || '').split(';').forEach(group => {
+            const [key, list] = group.split(':');
+            const tag = Triage.TAGS.find(t => t.key === key);
+            if (!tag || !list) return;
+            list.split(',').forEach(range => {
+                const [from, to] = range.split('-').map(Number);
+                if (Number.isInteger(from)) {
+                    ranges.push({ tag: tag.id, from: from, to: Number.isInteger(to) ? to : from });
+                }
+            });
+        });
+
+        let tagged = 0;
+        this.predictions.forEach(prediction => {
+            const line = Triage.lineOf(prediction);
+            const range = ranges.find(r => line >= r.from && line <= r.to);
+            if (range) {
+                prediction.triage = { note: '', ...prediction.triage, tag: range.tag, updatedAt: new Date().toISOString() };
+                tagged++;
+            }
+        });
+        return tagged;
+    }
+}
@@ -0,0 +1,46 @@
+class ViewState {
+    // What the results view shows, as a URL hash such as
+    // #view=table&tag=follow-up&q=exoplanet%20probability%20%3E%200.8&sort=exoplanetProbability:desc&file=3fa2...
+    static parse(hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        if ([...params.keys()].length === 0) return null;
+
+        const [sortKey, sortDirection] = (params.get('sort') || '').split(':');
+        const row = parseInt(params.get('row'), 10);
+        return {
+            view: params.get('view') === 'cards' ? 'cards' : 'table',
+            query: params.get('q') || '',
+            prediction: params.get('pred') || 'all',
+            tag: params.get('tag') || 'all',
+            sortKey: sortKey || null,
+            sortDirection: sortDirection === 'desc' ? -1 : 1,
+            row: Number.isInteger(row) ? row : null,
+            file: params.get('file') || null,
+            tags: params.get('tags') || ''
+        };
+    }
+
+    // Defaults are left out so links stay short
+    static toHash(state) {
+        const params = new URLSearchParams();
+        if (state.view && state.view !== 'table') params.set('view', state.view);
+        if (state.query) params.set('q', state.query);
+        if (state.prediction && state.prediction !== 'all') params.set('pred', state.prediction);
+        if (state.tag && state.tag !== 'all') params.set('tag', state.tag);
+        if (state.sortKey) params.set('sort', `${state.sortKey}:${state.sortDirection === -1 ? 'desc' : 'asc'}`);
+        if (state.row) params.set('row', state.row);
+        if (state.file) params.set('file', state.file);
+        if (state.tags) params.set('tags', state.tags);
+        // URLSearchParams writes spaces as "+", which some chat apps cut links at
+        return params.toString().replace(/\+/g, '%20');
+    }
+
+    // Links name the file by a prefix of its SHA-256 so they aren't applied to other data
+    static fileKey(fileHash) {
+        return (fileHash || '').slice(0, 12);
+    }
+
+    static matchesFile(state, fileHash) {
+        return !state.file || ViewState.fileKey(fileHash) === state.file;
+    }
+}